@@ -1,56 +1,58 @@
 // The module 'vscode' contains the VS Code extensibility API
 // Import the module and reference it with the alias vscode in your code below
 const vscode = require('vscode');
-// The 'child_process' module allows us to execute shell commands
-const { exec, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+// All rig calls go through the runner, which passes arguments without a shell
+const rigRunner = require('./src/rigRunner');
+const { RigStateService } = require('./src/rigState');
+const { createApi, toApiVersion } = require('./src/api');
+const elevation = require('./src/elevation');
+const log = require('./src/log');
+const diagnostics = require('./src/diagnostics');
+const workspacePin = require('./src/workspacePin');
+const libraries = require('./src/libraries');
+const installWizard = require('./src/installWizard');
+const renvTools = require('./src/renvTools');
+const { UpdateChecker } = require('./src/updateChecker');
+const terminalProfiles = require('./src/terminalProfiles');
+const matrixRun = require('./src/matrixRun');
+const editorIntegration = require('./src/editorIntegration');
+const rigDetection = require('./src/rigDetection');
+const manifest = require('./src/manifest');
+const switchHistory = require('./src/switchHistory');
+const diskUsage = require('./src/diskUsage');
+const { OperationQueue, JobsTreeProvider, showJobOutput } = require('./src/operationQueue');
+const { killProcessTree } = require('./src/processTree');
+const { RVersionsTreeProvider } = require('./src/versionsTreeProvider');
+const { RequirementDiagnostics } = require('./src/requirementDiagnostics');
+const requirements = require('./src/requirements');
+const versionResolver = require('./src/versionResolver');
 
 // Declare a global variable for the StatusBarItem
 let rStatusBarItem;
-
-/**
- * Utility function to execute rig commands and parse JSON output
- * @param {string} command - The rig command to execute
- * @param {string} errorMessage - Custom error message for failures
- * @returns {Promise<any>} - Parsed JSON result
- */
-function executeRigCommand(command, errorMessage = 'Error executing rig command') {
-    return new Promise((resolve, reject) => {
-        exec(command, (error, stdout, stderr) => {
-            if (error) {
-                vscode.window.showErrorMessage(`${errorMessage}: ${stderr}`);
-                reject(new Error(stderr));
-                return;
-            }
-
-            try {
-                // Clean up the output to handle Windows path escaping issues
-                let cleanOutput = stdout.trim();
-                
-                // On Windows, rig outputs paths with single backslashes which are invalid in JSON
-                // We need to properly escape them
-                if (process.platform === 'win32') {
-                    // Use a more targeted approach: only escape backslashes in path-like strings
-                    // Look for patterns like "C:\..." and escape the backslashes
-                    cleanOutput = cleanOutput.replace(/"([A-Za-z]:[^"]*?)"/g, (match, path) => {
-                        // Escape backslashes in the path
-                        const escapedPath = path.replace(/\\/g, '\\\\');
-                        return `"${escapedPath}"`;
-                    });
-                }
-                
-                const result = JSON.parse(cleanOutput);
-                resolve(result);
-            } catch (e) {
-                console.error('Raw rig output:', stdout);
-                console.error('JSON parse error:', e.message);
-                vscode.window.showErrorMessage(`Failed to parse rig output: ${e.message}. Check the extension output for details.`);
-                reject(e);
-            }
-        });
-    });
-}
+// The extension context, kept for access to the terminal environment collection
+let extensionContext;
+// Data provider for the R Versions tree view
+let versionsTreeProvider;
+let requirementDiagnostics;
+let diskUsageProvider;
+// Cached rig list/available shared by the status bar, views and commands
+let rigState;
+// Fires the public API's onDidChangeActiveVersion
+let activeVersionEmitter;
+// Name of the last active R version reported to API consumers
+let lastActiveVersionName;
+// Editor settings sync in progress, shared by concurrent callers
+let pendingEditorSync;
+// Editor settings changes the user last declined in preview mode, so they are not proposed again
+let declinedEditorChanges;
+// Result of the last rig detection; rig-dependent features wait until it is 'ok'
+let rigStatus;
+// Install, uninstall and switch jobs, run one at a time
+let operationQueue;
+// Last known requirement recorded in each detected file, keyed by path
+const knownRequirements = new Map();
 
 /**
  * Creates quick pick items for version selection
@@ -101,335 +103,1249 @@ async function showVersionQuickPick(versions, placeholder, type) {
     }
 
     const quickPickItems = createVersionQuickPickItems(versions, type);
-    return await vscode.window.showQuickPick(quickPickItems, {
+    if (type === 'switch') {
+        quickPickItems.push(...await createLibraryQuickPickItems());
+    }
+    const selectedItem = await vscode.window.showQuickPick(quickPickItems, {
         placeHolder: placeholder,
         matchOnDetail: true
     });
+
+    // Picking a library makes it the default instead of selecting a version
+    if (selectedItem?.library) {
+        await setDefaultLibrary(selectedItem.library.name);
+        return undefined;
+    }
+    return selectedItem;
+}
+
+/**
+ * Creates the "Package libraries" section shown below the versions in the switch picker
+ * @returns {Promise<Array>} - Separator and one item per library; empty if rig cannot list them
+ */
+async function createLibraryQuickPickItems() {
+    let libs;
+    try {
+        libs = await libraries.listLibraries();
+    } catch (error) {
+        log.warn(`Could not list package libraries: ${error.message}`);
+        return [];
+    }
+    if (libs.length === 0) {
+        return [];
+    }
+    return [
+        { label: 'Package libraries of the default R version', kind: vscode.QuickPickItemKind.Separator },
+        ...libs.map(lib => ({
+            label: `$(library) ${lib.name}`,
+            description: lib.default ? '(default library)' : 'Set as default library',
+            detail: lib.path,
+            library: lib
+        }))
+    ];
 }
 
 /**
  * Switches to a specific R version
  * @param {string} versionName - Name of the version to switch to
+ * @param {string} [trigger] - What started the switch, recorded in the switch history:
+ *   'manual', 'renv', 'status bar', 'install', 'manifest' or 'revert'
+ * @param {vscode.WorkspaceFolder} [folder] - Folder pinned under the `workspace` switch scope;
+ *   defaults to the active one
+ * @returns {Promise<void>}
+ */
+async function switchToVersion(versionName, trigger = 'manual', folder = undefined) {
+    // Only pass names rig itself reported as installed, to rig or to a pin
+    await ensureKnownVersion(versionName, 'installed');
+
+    const config = vscode.workspace.getConfiguration('rig-manager');
+    if (config.get('switch.scope') === 'workspace') {
+        // Workspace scope: pin the version instead of changing the global default
+        return pinWorkspaceVersion(versionName, folder);
+    }
+
+    await setGlobalDefault(versionName, trigger);
+    vscode.window.showInformationMessage(`Switched default R version to: ${versionName}`);
+}
+
+/**
+ * Switches the global default back to the version used before the last switch
+ * @returns {Promise<void>}
+ */
+async function revertToPreviousVersion() {
+    const last = switchHistory.getLastSwitch(extensionContext.globalState);
+    if (!last) {
+        vscode.window.showInformationMessage('No earlier R version to go back to.');
+        return;
+    }
+    const installedVersions = await rigState.getInstalled('Could not fetch installed R versions');
+    if (!installedVersions.some(r => r.name === last.from)) {
+        log.showError(`R ${last.from}, the version used before the last switch, is no longer installed.`);
+        return;
+    }
+
+    // Restarts consoles through onActiveVersionChanged once the switch is done
+    await setGlobalDefault(last.from, 'revert');
+    vscode.window.showInformationMessage(`Reverted default R version to: ${last.from}`);
+}
+
+/**
+ * Queues `rig default` and waits for it. Failures are shown to the user.
+ * The job also records the switch and restarts the console, so a retry from the
+ * Background Jobs view does everything the original switch did.
+ * @param {string} versionName - Name of an installed version
+ * @param {string} trigger - What started the switch, recorded in the switch history
+ * @returns {Promise<void>}
+ */
+async function setGlobalDefault(versionName, trigger) {
+    const job = operationQueue.submit({
+        label: `Switching to R ${versionName}`,
+        kind: 'switch',
+        run: async job => {
+            // Only needed for the history; a failing `rig list` must not stop the switch
+            const previous = (await rigState.getInstalled().catch(() => [])).find(r => r.default)?.name;
+            try {
+                await runSetDefault(versionName, job);
+            } finally {
+                rigState.invalidate();
+            }
+            if (previous !== versionName) {
+                await switchHistory.recordSwitch(extensionContext.globalState, { from: previous, to: versionName, trigger });
+            }
+            onActiveVersionChanged();
+        }
+    });
+    await job.done;
+}
+
+/**
+ * Runs `rig default`, with elevation where the platform needs it
+ * @param {string} versionName - Name of an installed version
+ * @param {import('./src/operationQueue').Job} job - Queue job collecting the output
  * @returns {Promise<void>}
  */
-async function switchToVersion(versionName) {
+async function runSetDefault(versionName, job) {
     const platform = process.platform;
     if (platform === 'win32') {
         // Windows: no sudo needed
-        return new Promise((resolve, reject) => {
-            exec(`rig default ${versionName}`, (error, stdout, stderr) => {
-                if (error) {
-                    vscode.window.showErrorMessage(`Failed to switch to ${versionName}: ${stderr}`);
-                    reject(new Error(stderr));
-                    return;
-                }
-                vscode.window.showInformationMessage(`Switched default R version to: ${versionName}`);
-                updateStatusBar();
-                launchRConsole(true);
-                resolve();
-            });
-        });
-    } else if (platform === 'darwin') {
-        // macOS: try without sudo first, fallback to sudo if needed
-        return new Promise((resolve, reject) => {
-            exec(`rig default ${versionName}`, async (error, stdout, stderr) => {
-                if (!error) {
-                    vscode.window.showInformationMessage(`Switched default R version to: ${versionName}`);
-                    updateStatusBar();
-                    launchRConsole(true);
-                    resolve();
-                    return;
-                }
-                // If error, try with sudo
-                const password = await vscode.window.showInputBox({
-                    prompt: `Sudo password required to switch default R version to ${versionName}`,
-                    password: true,
-                    ignoreFocusOut: true
-                });
-                if (password === undefined) {
-                    vscode.window.showWarningMessage(`Switch to R ${versionName} cancelled.`);
-                    reject(new Error('Operation cancelled'));
-                    return;
-                }
-                const child = spawn('sudo', ['-S', 'rig', 'default', versionName]);
-                let stderrData = '';
-                child.stdin.write(password + '\n');
-                child.stdin.end();
-                child.stdout.on('data', () => {});
-                child.stderr.on('data', data => { stderrData += data.toString(); });
-                child.on('close', code => {
-                    if (code === 0) {
-                        vscode.window.showInformationMessage(`Switched default R version to: ${versionName}`);
-                        updateStatusBar();
-                        launchRConsole(true);
-                        resolve();
-                    } else {
-                        vscode.window.showErrorMessage(`Failed to switch to ${versionName}: ${stderrData}`);
-                        reject(new Error(stderrData));
-                    }
-                });
-                child.on('error', err => {
-                    vscode.window.showErrorMessage(`Failed to start sudo process: ${err.message}`);
-                    reject(err);
-                });
-            });
-        });
+        try {
+            const { stdout } = await rigRunner.runRig(['default', versionName], { token: job.token });
+            job.appendOutput(stdout);
+        } catch (error) {
+            if (job.token.isCancellationRequested) {
+                vscode.window.showWarningMessage(`Cancelled switching to ${versionName}.`);
+            } else {
+                log.showError(`Failed to switch to ${versionName}: ${error.message}`);
+            }
+            throw error;
+        }
     } else {
-        // Linux: always prompt for sudo
-        const password = await vscode.window.showInputBox({
-            prompt: `Sudo password required to switch default R version to ${versionName}`,
-            password: true,
-            ignoreFocusOut: true
-        });
-        if (password === undefined) {
-            vscode.window.showWarningMessage(`Switch to R ${versionName} cancelled.`);
-            throw new Error('Operation cancelled');
-        }
-        return new Promise((resolve, reject) => {
-            const child = spawn('sudo', ['-S', 'rig', 'default', versionName]);
-            let stderrData = '';
-            child.stdin.write(password + '\n');
-            child.stdin.end();
-            child.stdout.on('data', () => {});
-            child.stderr.on('data', data => { stderrData += data.toString(); });
-            child.on('close', code => {
-                if (code === 0) {
-                    vscode.window.showInformationMessage(`Switched default R version to: ${versionName}`);
-                    updateStatusBar();
-                    launchRConsole(true);
-                    resolve();
-                } else {
-                    vscode.window.showErrorMessage(`Failed to switch to ${versionName}: ${stderrData}`);
-                    reject(new Error(stderrData));
-                }
-            });
-            child.on('error', err => {
-                vscode.window.showErrorMessage(`Failed to start sudo process: ${err.message}`);
-                reject(err);
+        // macOS: try without sudo first. Linux: `rig default` needs administrator rights.
+        try {
+            await elevation.runElevatedRig(['default', versionName], {
+                purpose: `switch the default R version to ${versionName}`,
+                tryUnelevated: platform === 'darwin',
+                token: job.token,
+                onStdout: text => job.appendOutput(text),
+                onStderr: text => job.appendOutput(text)
             });
-        });
+        } catch (error) {
+            elevation.showElevationError(error);
+            throw error;
+        }
     }
 }
 
 /**
- * Generic progress handler for install/uninstall operations (cross-platform)
- * @param {string} operation - Operation name ('install' or 'uninstall')
- * @param {string} version - Version to operate on
- * @param {string} rigCommand - The rig command to execute ('add' or 'rm')
+ * Pins an R version for a workspace folder, leaving `rig default` untouched
+ * @param {string} versionName - Name of the version to pin
+ * @param {vscode.WorkspaceFolder} [folder] - Folder to pin; defaults to the active one
  * @returns {Promise<void>}
  */
-async function handleRigOperation(operation, version, rigCommand) {
-    const platform = process.platform;
-    
-    // On Windows, rig operations typically don't require elevation
-    if (platform === 'win32') {
-        return handleWindowsRigOperation(operation, version, rigCommand);
+async function pinWorkspaceVersion(versionName, folder = workspacePin.getActiveWorkspaceFolder()) {
+    if (!folder) {
+        log.showError('Open a folder to pin an R version for the workspace.');
+        throw new Error('No workspace folder open');
+    }
+
+    const currentPin = workspacePin.getPinnedVersion(folder);
+    if (currentPin?.source === 'setting') {
+        // The setting overrides .rig-version, so update it in place
+        const config = vscode.workspace.getConfiguration('rig-manager', folder.uri);
+        await config.update('workspace.rVersion', versionName, vscode.ConfigurationTarget.WorkspaceFolder);
     } else {
-        // macOS and Linux require sudo
-        return handleUnixRigOperation(operation, version, rigCommand);
+        workspacePin.writePinFile(folder, versionName);
     }
+
+    vscode.window.showInformationMessage(`Pinned R version ${versionName} for workspace: ${folder.name}`);
+    await applyWorkspacePin();
+    onActiveVersionChanged();
 }
 
 /**
- * Handles rig operations on Windows
- * @param {string} operation - Operation name ('install' or 'uninstall')
- * @param {string} version - Version to operate on
- * @param {string} rigCommand - The rig command to execute ('add' or 'rm')
+ * Reloads rig state, which refreshes the status bar and views, and restarts the R console.
+ * Editor settings are synced first so REditorSupport starts the new version.
+ */
+function onActiveVersionChanged() {
+    rigState.invalidate();
+    syncEditorSettings().finally(() => launchRConsole(true));
+}
+
+/**
+ * Injects the pinned R version and package library of the active workspace folder
+ * into integrated terminals. Clears the injection when the folder selects neither.
  * @returns {Promise<void>}
  */
-async function handleWindowsRigOperation(operation, version, rigCommand) {
-    return vscode.window.withProgress({
-        location: vscode.ProgressLocation.Notification,
-        title: `${operation.charAt(0).toUpperCase() + operation.slice(1)}ing R version: ${version}`,
-        cancellable: true
-    }, (progress, token) => {
-        const child = spawn('rig', [rigCommand, version], {
-            shell: true,
-            stdio: ['pipe', 'pipe', 'pipe']
+async function applyWorkspacePin() {
+    const collection = extensionContext.environmentVariableCollection;
+    const folder = workspacePin.getActiveWorkspaceFolder();
+    const libraryName = libraries.getWorkspaceLibrary(folder);
+    if (!workspacePin.getPinnedVersion(folder)) {
+        collection.clear();
+    } else {
+        try {
+            const installedVersions = await rigState.getInstalled();
+            const { version, pin } = workspacePin.resolveActiveVersion(installedVersions, folder);
+            if (!version) {
+                vscode.window.showWarningMessage(`R version ${pin.version} pinned in ${workspacePin.describePinSource(pin)} is not installed.`);
+            }
+            await workspacePin.applyTerminalEnvironment(collection, version);
+        } catch (error) {
+            log.warn(`Could not apply the pinned R version to terminals: ${error.message}`);
+        }
+    }
+
+    if (libraryName) {
+        const library = await getActiveLibrary(folder);
+        if (library) {
+            libraries.applyLibraryEnvironment(collection, library);
+        } else if (library === null) {
+            vscode.window.showWarningMessage(`Package library "${libraryName}" set in rig-manager.library.name is not used: this folder is pinned to an R version other than rig's default, and rig only manages the default version's libraries.`);
+        } else {
+            vscode.window.showWarningMessage(`Package library "${libraryName}" set in rig-manager.library.name does not exist. Create it with "Rig: Create Package Library".`);
+        }
+    }
+
+    if (editorIntegration.getMode() !== 'off') {
+        try {
+            const { version } = workspacePin.resolveActiveVersion(await rigState.getInstalled(), folder);
+            if (version?.binary) {
+                editorIntegration.applyQuartoEnvironment(collection, version);
+            }
+        } catch (error) {
+            log.warn(`Could not set QUARTO_R for terminals: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Points REditorSupport's `r.rterm.*`/`r.rpath.*` workspace settings and Quarto's `QUARTO_R`
+ * at the active R version, and passes on the console program and arguments, if `rig-manager.integration.editorSettings` is on.
+ * Calls made while a sync is running share it, so a preview is never shown twice.
+ * @returns {Promise<void>}
+ */
+function syncEditorSettings() {
+    if (!pendingEditorSync) {
+        pendingEditorSync = runEditorSettingsSync().finally(() => {
+            pendingEditorSync = undefined;
         });
+    }
+    return pendingEditorSync;
+}
 
-        return new Promise((resolve, reject) => {
-            token.onCancellationRequested(() => {
-                child.kill();
-                vscode.window.showWarningMessage(`${operation.charAt(0).toUpperCase() + operation.slice(1)} of R ${version} cancelled.`);
-                reject(new Error('Operation cancelled'));
-            });
+/**
+ * Performs syncEditorSettings. In `preview` mode the changes are shown and only written once confirmed.
+ * @returns {Promise<void>}
+ */
+async function runEditorSettingsSync() {
+    const mode = editorIntegration.getMode();
+    if (mode === 'off' || !vscode.workspace.workspaceFolders?.length) {
+        return;
+    }
 
-            let stderr = '';
+    let version;
+    try {
+        ({ version } = workspacePin.resolveActiveVersion(await rigState.getInstalled()));
+    } catch (error) {
+        log.warn(`Could not sync editor settings: ${error.message}`);
+        return;
+    }
+    if (!version?.binary) {
+        return;
+    }
 
-            child.stdout.on('data', data => {
-                const output = data.toString();
-                const message = output.trim().split('\n').pop();
-                if (message) {
-                    progress.report({ message });
+    const changes = editorIntegration.computeChanges(version);
+    if (changes.length > 0) {
+        if (mode === 'preview') {
+            // Moving between folders pinned to different versions proposes the same changes again
+            const proposal = JSON.stringify(changes);
+            if (proposal === declinedEditorChanges) {
+                return;
+            }
+            log.info(`Proposed editor settings for R ${version.version}:\n${changes.map(editorIntegration.describeChange).join('\n')}`);
+            let choice;
+            do {
+                choice = await vscode.window.showInformationMessage(
+                    `Update ${changes.length} workspace setting(s) to use R ${version.version} in REditorSupport and Quarto?`,
+                    'Apply',
+                    'Show Changes'
+                );
+                if (choice === 'Show Changes') {
+                    log.show();
                 }
-            });
+            } while (choice === 'Show Changes');
+            if (choice !== 'Apply') {
+                declinedEditorChanges = proposal;
+                return;
+            }
+        }
+        declinedEditorChanges = undefined;
+        try {
+            await editorIntegration.applyChanges(changes, extensionContext.workspaceState);
+        } catch (error) {
+            log.showError(`Failed to update REditorSupport settings: ${error.message}`);
+            return;
+        }
+        log.info(`Updated editor settings for R ${version.version}:\n${changes.map(editorIntegration.describeChange).join('\n')}`);
+    }
+    await applyWorkspacePin();
+}
 
-            child.stderr.on('data', data => {
-                const output = data.toString();
-                stderr += output;
-                console.error(`stderr: ${output}`);
-            });
+/**
+ * Gets the package library used in a workspace folder: the one named by
+ * `rig-manager.library.name`, otherwise rig's default library.
+ * rig's libraries belong to its default R version, so none applies to a folder
+ * pinned to another version; its R keeps its own user library.
+ * @param {vscode.WorkspaceFolder | undefined} folder - Workspace folder to inspect
+ * @returns {Promise<{name: string, path: string, default: boolean} | null | undefined>}
+ *   null when the folder uses an R version other than the default, undefined when not found
+ */
+async function getActiveLibrary(folder = workspacePin.getActiveWorkspaceFolder()) {
+    let libs;
+    try {
+        const { version } = workspacePin.resolveActiveVersion(await rigState.getInstalled(), folder);
+        if (version && !version.default) {
+            return null;
+        }
+        libs = await libraries.listLibraries();
+    } catch (error) {
+        log.warn(`Could not list package libraries: ${error.message}`);
+        return undefined;
+    }
+    const libraryName = libraries.getWorkspaceLibrary(folder);
+    return libraryName
+        ? libs.find(lib => lib.name === libraryName)
+        : libs.find(lib => lib.default);
+}
 
-            child.on('close', code => {
-                if (code === 0) {
-                    vscode.window.showInformationMessage(`Successfully ${operation}ed R version: ${version}`);
-                    updateStatusBar();
-                    resolve();
-                } else {
-                    const errorMsg = stderr.includes('Access is denied') || stderr.includes('permission')
-                        ? `Failed to ${operation} R ${version}. Administrator privileges may be required. Try running VS Code as administrator.`
-                        : `Failed to ${operation} R version ${version}. ${stderr || `Exit code: ${code}`}`;
-                    vscode.window.showErrorMessage(errorMsg);
-                    reject(new Error(errorMsg));
-                }
-            });
+/**
+ * Makes a package library rig's default and restarts the R console so it is picked up
+ * @param {string} name - Library name
+ * @returns {Promise<void>}
+ */
+async function setDefaultLibrary(name) {
+    try {
+        await libraries.setDefaultLibrary(name);
+    } catch (error) {
+        log.showError(`Failed to set default package library to ${name}: ${error.message}`);
+        return;
+    }
+    vscode.window.showInformationMessage(`Default package library set to: ${name}`);
+    launchRConsole(true);
+}
 
-            child.on('error', err => {
-                vscode.window.showErrorMessage(`Failed to start ${operation} process: ${err.message}`);
-                reject(err);
-            });
-        });
+/**
+ * Asks for a package library of the default R version
+ * @param {string} placeholder - Quick pick placeholder
+ * @param {(lib: Object) => boolean} [filter] - Libraries to offer
+ * @returns {Promise<{name: string, path: string, default: boolean} | undefined>}
+ */
+async function pickLibrary(placeholder, filter = () => true) {
+    let libs;
+    try {
+        libs = (await libraries.listLibraries()).filter(filter);
+    } catch (error) {
+        log.showError(`Could not list package libraries: ${error.message}`);
+        return undefined;
+    }
+    if (libs.length === 0) {
+        vscode.window.showInformationMessage('No package libraries found.');
+        return undefined;
+    }
+    // rig lists the default version's libraries; name it so they are not taken for another version's
+    const defaultVersion = (await rigState.getInstalled().catch(() => [])).find(r => r.default);
+    const selectedItem = await vscode.window.showQuickPick(libs.map(lib => ({
+        label: lib.name,
+        description: lib.default ? '(default)' : '',
+        detail: lib.path,
+        library: lib
+    })), {
+        title: defaultVersion ? `Package libraries of R ${defaultVersion.version} (default version)` : undefined,
+        placeHolder: placeholder,
+        matchOnDetail: true
     });
+    return selectedItem?.library;
 }
 
 /**
- * Handles rig operations on Unix-like systems (macOS, Linux) with sudo
+ * Queues an install or uninstall and waits for it (cross-platform)
  * @param {string} operation - Operation name ('install' or 'uninstall')
  * @param {string} version - Version to operate on
  * @param {string} rigCommand - The rig command to execute ('add' or 'rm')
+ * @param {Object} [options]
+ * @param {string} [options.arch] - Architecture passed to `rig add --arch` (macOS only)
+ * @param {string[]} [options.args] - Full rig arguments, e.g. from the install wizard; overrides `arch`
+ * @param {vscode.Progress} [options.progress] - Progress of a batch this operation is part of;
+ *   when given, no success message of its own is shown
+ * @param {vscode.CancellationToken} [options.token] - Cancels the job along with the batch
  * @returns {Promise<void>}
  */
-async function handleUnixRigOperation(operation, version, rigCommand) {
-    const password = await vscode.window.showInputBox({
-        prompt: `Sudo password required to ${operation} R ${version}`,
-        password: true,
-        ignoreFocusOut: true
+async function handleRigOperation(operation, version, rigCommand, options = {}) {
+    // Installs must name a version rig offers; uninstalls one rig reports as installed
+    await ensureKnownVersion(version, rigCommand === 'add' ? 'available' : 'installed');
+
+    const verb = `${operation.charAt(0).toUpperCase() + operation.slice(1)}ing`;
+    const args = options.args || (options.arch ? [rigCommand, '--arch', options.arch, version] : [rigCommand, version]);
+    const job = operationQueue.submit({
+        label: `${verb} R ${version}`,
+        kind: operation,
+        run: async job => {
+            const progress = {
+                report: ({ message }) => {
+                    job.report(message);
+                    options.progress?.report({ message });
+                }
+            };
+            try {
+                await runRigOperation(operation, version, args, progress, job.token, text => job.appendOutput(text));
+            } finally {
+                rigState.invalidate();
+            }
+        }
     });
+    const cancellation = options.token?.onCancellationRequested(() => operationQueue.cancel(job));
+    try {
+        await job.done;
+    } finally {
+        cancellation?.dispose();
+    }
+    if (!options.progress) {
+        vscode.window.showInformationMessage(`Successfully ${operation}ed R version: ${version}`);
+    }
+}
 
-    if (password === undefined) {
-        vscode.window.showWarningMessage(`${operation.charAt(0).toUpperCase() + operation.slice(1)} of R ${version} cancelled.`);
+/**
+ * Installs an update found by the update checker and optionally switches to it
+ * @param {{name: string, version: string}} update - Update from the update checker
+ * @param {boolean} switchAfter - Switch to the new version once installed
+ * @returns {Promise<void>}
+ */
+async function installUpdate(update, switchAfter) {
+    await handleRigOperation('install', update.name, 'add');
+    if (!switchAfter) {
         return;
     }
+    const installed = await rigState.getInstalled('Could not fetch installed R versions');
+    const newVersion = installed.find(r => r.version === update.version);
+    if (newVersion) {
+        await switchToVersion(newVersion.name);
+    }
+}
 
-    return vscode.window.withProgress({
+/**
+ * Installs R through the install wizard, then runs the chosen post-install steps.
+ * Each step is shown as a stage of one progress notification.
+ * @returns {Promise<void>}
+ */
+async function installWithWizard() {
+    const availableVersions = await vscode.window.withProgress({
         location: vscode.ProgressLocation.Notification,
-        title: `${operation.charAt(0).toUpperCase() + operation.slice(1)}ing R version: ${version}`,
-        cancellable: true
-    }, (progress, token) => {
-        const child = spawn('sudo', ['-S', 'rig', rigCommand, version]);
-
-        return new Promise((resolve, reject) => {
-            token.onCancellationRequested(() => {
-                child.kill();
-                vscode.window.showWarningMessage(`${operation.charAt(0).toUpperCase() + operation.slice(1)} of R ${version} cancelled.`);
-                reject(new Error('Operation cancelled'));
-            });
-
-            child.stdin.write(password + '\n');
-            child.stdin.end();
+        title: 'Fetching available R versions...',
+        cancellable: false
+    }, () => rigState.getAvailable('Could not fetch available R versions'));
+    if (availableVersions.length === 0) {
+        vscode.window.showInformationMessage('No available R versions found to install.');
+        return;
+    }
 
-            child.stdout.on('data', data => {
-                const message = data.toString().trim().split('\n').pop();
-                progress.report({ message });
-            });
+    const folder = workspacePin.getActiveWorkspaceFolder();
+    const renvProject = folder && fs.existsSync(path.join(folder.uri.fsPath, 'renv.lock')) ? folder.uri.fsPath : undefined;
+    // Restoring starts R in the project, which runs its .Rprofile
+    const choice = await installWizard.runInstallWizard(availableVersions, { canRestoreRenv: Boolean(renvProject) && vscode.workspace.isTrusted });
+    if (!choice) {
+        return;
+    }
+    await ensureKnownVersion(choice.target, 'available');
 
-            child.stderr.on('data', data => {
-                console.error(`stderr: ${data}`);
-            });
+    const installedBefore = (await rigState.getInstalled('Could not fetch installed R versions')).map(r => r.name);
+    const stageCount = 1 + Number(choice.setDefault) + Number(choice.restoreRenv);
+    let installedVersion;
 
-            child.on('close', code => {
-                if (code === 0) {
-                    vscode.window.showInformationMessage(`Successfully ${operation}ed R version: ${version}`);
-                    updateStatusBar();
-                    resolve();
-                } else {
-                    const errorMsg = code === 1 
-                        ? `Failed to ${operation} R ${version}. Incorrect password or permission error.`
-                        : `Failed to ${operation} R version ${version}. See extension host logs for details. Exit code: ${code}`;
-                    vscode.window.showErrorMessage(errorMsg);
-                    reject(new Error(errorMsg));
-                }
-            });
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Installing R ${choice.target}`,
+        cancellable: true
+    }, async (progress, token) => {
+        let stage = 0;
+        const stageProgress = {
+            report: ({ message }) => progress.report({ message: `(${stage}/${stageCount}) ${message}` })
+        };
+        const startStage = message => {
+            stage++;
+            stageProgress.report({ message });
+        };
 
-            child.on('error', err => {
-                vscode.window.showErrorMessage(`Failed to start ${operation} process: ${err.message}`);
-                reject(err);
-            });
+        startStage(`Installing R ${choice.target}`);
+        await handleRigOperation('install', choice.target, 'add', {
+            args: installWizard.buildAddArgs(choice),
+            progress: stageProgress,
+            token
         });
-    });
-}
 
-/**
- * This method is called when your extension is activated.
- * @param {vscode.ExtensionContext} context
- */
-function activate(context) {
-    console.log('"rig-manager" is now active!');
+        // Aliases such as "release" only tell which version was installed once rig lists it
+        const installed = await rigState.getInstalled('Could not fetch installed R versions');
+        installedVersion = installed.find(r => !installedBefore.includes(r.name))
+            || workspacePin.findInstalledVersion(choice.target, installed);
+        if (!installedVersion) {
+            vscode.window.showWarningMessage(`Installed R ${choice.target}, but could not find it in "rig list". Skipping the remaining steps.`);
+            return;
+        }
 
-    // Create the status bar item
-    rStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
-    rStatusBarItem.command = 'rig-manager.switchVersion';
-    context.subscriptions.push(rStatusBarItem);
+        if (choice.setDefault) {
+            startStage(`Switching to R ${installedVersion.name}`);
+            // Follows rig-manager.switch.scope and records the switch like any other
+            await switchToVersion(installedVersion.name, 'install');
+        }
 
-    // Register all commands
-    registerCommands(context);
+        if (choice.restoreRenv && vscode.workspace.isTrusted) {
+            startStage('Restoring renv packages');
+            try {
+                await renvTools.runRenvCommand('restore', installedVersion, renvProject, {
+                    token,
+                    onProgress: message => stageProgress.report({ message })
+                });
+            } catch (error) {
+                log.showError(`R ${installedVersion.name} was installed, but renv::restore() failed: ${error.message}`);
+            }
+        }
+    });
 
-    // Update status bar and launch console on activation
-    updateStatusBar();
-    launchRConsole();
-    
-    // Check for renv requirements when extension activates
-    setTimeout(() => {
-        checkRenvRequirements().catch(error => {
-            console.error('Error checking renv requirements:', error);
-        });
-    }, 1000);
+    if (installedVersion) {
+        vscode.window.showInformationMessage(`Successfully installed R version: ${installedVersion.name}`);
+    }
 }
 
 /**
- * Registers all extension commands
- * @param {vscode.ExtensionContext} context
+ * Writes the installed R versions to a manifest file chosen by the user
+ * @returns {Promise<void>}
  */
-function registerCommands(context) {
-    // Switch R version command
-    const switchVersionDisposable = vscode.commands.registerCommand('rig-manager.switchVersion', async () => {
-        try {
-            const versionsData = await executeRigCommand('rig list --json', 'Error fetching installed R versions');
-            const selectedItem = await showVersionQuickPick(versionsData, 'Select an R version to switch to', 'switch');
-            
-            if (selectedItem) {
-                await switchToVersion(selectedItem.label);
-            }
-        } catch {
-            // Error already handled in utility functions
-        }
+async function exportManifest() {
+    const installedVersions = await rigState.getInstalled('Could not fetch installed R versions');
+    if (installedVersions.length === 0) {
+        vscode.window.showInformationMessage('No R versions found. Please install one using "rig add".');
+        return;
+    }
+    const folder = workspacePin.getActiveWorkspaceFolder();
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: folder ? vscode.Uri.joinPath(folder.uri, manifest.MANIFEST_FILE_NAME) : undefined,
+        filters: { 'rig manifest': ['json'] },
+        title: 'Export R Versions to Manifest'
     });
-
-    // Install R version command
-    const installVersionDisposable = vscode.commands.registerCommand('rig-manager.installVersion', () => {
-        vscode.window.withProgress({
-            location: vscode.ProgressLocation.Notification,
-            title: "Fetching available R versions...",
-            cancellable: false
-        }, async () => {
-            try {
-                const availableVersions = await executeRigCommand('rig available --json', 'Could not fetch available R versions');
-                const selectedItem = await showVersionQuickPick(availableVersions, 'Select an R version to install', 'install');
-                
-                if (selectedItem) {
-                    await handleRigOperation('install', selectedItem.label, 'add');
-                }
-            } catch {
-                // Error already handled in utility functions
+    if (!target) {
+        return;
+    }
+    try {
+        fs.writeFileSync(target.fsPath, `${JSON.stringify(manifest.buildManifest(installedVersions), null, 2)}\n`, 'utf8');
+    } catch (error) {
+        log.showError(`Failed to write ${target.fsPath}: ${error.message}`);
+        return;
+    }
+    vscode.window.showInformationMessage(`Exported ${installedVersions.length} R version(s) to ${vscode.workspace.asRelativePath(target)}.`);
+}
+
+/**
+ * Compares the installed R versions with a manifest, then installs what is missing
+ * and sets the manifest's default under one progress notification
+ * @returns {Promise<void>}
+ */
+async function reconcileManifest() {
+    // Use the manifest of the active workspace folder, or ask for one
+    const folder = workspacePin.getActiveWorkspaceFolder();
+    let manifestPath = folder && path.join(folder.uri.fsPath, manifest.MANIFEST_FILE_NAME);
+    if (!manifestPath || !fs.existsSync(manifestPath)) {
+        const [picked] = await vscode.window.showOpenDialog({
+            canSelectMany: false,
+            filters: { 'rig manifest': ['json'] },
+            title: 'Select an R Version Manifest'
+        }) || [];
+        if (!picked) {
+            return;
+        }
+        manifestPath = picked.fsPath;
+    }
+
+    let teamManifest;
+    try {
+        teamManifest = manifest.readManifest(manifestPath);
+    } catch (error) {
+        log.showError(`${vscode.workspace.asRelativePath(manifestPath)} is not a valid R version manifest: ${error.message}`);
+        return;
+    }
+
+    const installedVersions = await rigState.getInstalled('Could not fetch installed R versions');
+    const { missing, extra, defaultEntry, defaultMatches } = manifest.compareWithManifest(teamManifest, installedVersions);
+    const details = [
+        `Missing: ${missing.length > 0 ? missing.map(manifest.describeEntry).join(', ') : 'none'}`,
+        `Not in the manifest: ${extra.length > 0 ? extra.map(r => r.name).join(', ') : 'none'}`
+    ];
+    if (!defaultMatches) {
+        details.push(`Default: ${manifest.describeEntry(defaultEntry)} (currently ${installedVersions.find(r => r.default)?.name || 'not set'})`);
+    }
+    log.info(`Manifest ${manifestPath}: ${details.join('; ')}`);
+
+    if (missing.length === 0 && defaultMatches) {
+        vscode.window.showInformationMessage(extra.length > 0
+            ? `All R versions in the manifest are installed. Not in the manifest: ${extra.map(r => r.name).join(', ')}.`
+            : 'Installed R versions match the manifest.');
+        return;
+    }
+    const choice = await vscode.window.showWarningMessage(
+        'This machine does not match the R version manifest.',
+        { modal: true, detail: details.join('\n') },
+        missing.length > 0 ? 'Install Missing Versions' : 'Set Default'
+    );
+    if (!choice) {
+        return;
+    }
+
+    const failed = [];
+    const switchDefault = Boolean(defaultEntry) && !defaultMatches;
+    const steps = missing.length + (switchDefault ? 1 : 0);
+    let cancelled = false;
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Applying R version manifest',
+        cancellable: true
+    }, async (progress, token) => {
+        let step = 0;
+        const stepProgress = {
+            report: ({ message }) => progress.report({ message: `(${step}/${steps}) ${message}` })
+        };
+
+        for (const entry of missing) {
+            if (token.isCancellationRequested) {
+                cancelled = true;
+                return;
+            }
+            step++;
+            stepProgress.report({ message: `Installing ${manifest.describeEntry(entry)}` });
+            try {
+                await handleRigOperation('install', entry.version, 'add', {
+                    arch: process.platform === 'darwin' ? entry.arch : undefined,
+                    progress: stepProgress,
+                    token
+                });
+            } catch (error) {
+                log.error(`Failed to install ${manifest.describeEntry(entry)}:`, error.message);
+                failed.push(manifest.describeEntry(entry));
+            }
+        }
+
+        if (token.isCancellationRequested) {
+            cancelled = true;
+            return;
+        }
+        if (switchDefault) {
+            const installed = (await rigState.getInstalled('Could not fetch installed R versions')).find(r => manifest.matchesEntry(r, defaultEntry));
+            // Listing can take a moment; do not switch once the user cancelled
+            if (token.isCancellationRequested) {
+                cancelled = true;
+                return;
+            }
+            step++;
+            if (!installed) {
+                failed.push(`default ${manifest.describeEntry(defaultEntry)}`);
+            } else if (!installed.default) {
+                stepProgress.report({ message: `Setting R ${installed.name} as default` });
+                await setGlobalDefault(installed.name, 'manifest');
+            }
+        }
+    });
+
+    if (cancelled) {
+        vscode.window.showInformationMessage('Stopped applying the R version manifest.');
+    } else if (failed.length > 0) {
+        log.showError(`Could not apply the whole manifest. Failed: ${failed.join(', ')}.`);
+    } else {
+        vscode.window.showInformationMessage('R versions now match the manifest.');
+    }
+}
+
+/**
+ * Lets the user pick versions to remove, with their sizes and whether recently opened
+ * workspaces need them; versions nothing needs are preselected
+ * @returns {Promise<void>}
+ */
+async function cleanUpVersions() {
+    const usage = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Measuring installed R versions...'
+    }, () => diskUsageProvider.getUsage());
+    const removable = usage.filter(entry => !entry.installation.default);
+    if (removable.length === 0) {
+        vscode.window.showInformationMessage('No R versions to clean up. The default version cannot be uninstalled.');
+        return;
+    }
+
+    const selected = await vscode.window.showQuickPick(removable.map(entry => ({
+        label: entry.installation.name,
+        description: `${diskUsage.formatSize(entry.size)} · library ${diskUsage.formatSize(entry.librarySize)}`,
+        detail: entry.neededBy.length > 0 ? `Needed by: ${entry.neededBy.join(', ')}` : 'Not needed by any recently opened workspace',
+        picked: entry.neededBy.length === 0,
+        usage: entry
+    })), {
+        canPickMany: true,
+        title: 'Clean Up R Versions',
+        placeHolder: 'Select the R versions to uninstall',
+        matchOnDetail: true
+    });
+    if (selected?.length) {
+        await uninstallVersions(selected.map(item => item.usage));
+    }
+}
+
+/**
+ * Uninstalls several versions after one confirmation, under one progress notification
+ * @param {Array<{installation: Object, size?: number, neededBy?: string[]}>} entries - Entries from DiskUsageTreeProvider.getUsage
+ * @returns {Promise<void>}
+ */
+async function uninstallVersions(entries) {
+    const targets = entries.filter(entry => !entry.installation.default);
+    if (targets.length < entries.length) {
+        vscode.window.showWarningMessage('Cannot uninstall the default R version. Please set a different version as default first.');
+    }
+    if (targets.length === 0) {
+        return;
+    }
+
+    const totalSize = targets.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    const stillNeeded = targets.filter(entry => entry.neededBy?.length > 0);
+    const detail = targets.map(entry => `R ${entry.installation.name} (${diskUsage.formatSize(entry.size)})`).join('\n')
+        + (stillNeeded.length > 0
+            ? `\n\nStill needed by recently opened workspaces: ${stillNeeded.map(entry => entry.installation.name).join(', ')}.`
+            : '')
+        + '\n\nPackage libraries are kept.';
+    const confirm = await vscode.window.showWarningMessage(
+        `Uninstall ${targets.length} R version(s) and free about ${diskUsage.formatSize(totalSize)}?`,
+        { modal: true, detail },
+        'Uninstall'
+    );
+    if (confirm !== 'Uninstall') {
+        return;
+    }
+
+    const failed = [];
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: 'Uninstalling R versions',
+        cancellable: true
+    }, async (progress, token) => {
+        for (const [index, entry] of targets.entries()) {
+            if (token.isCancellationRequested) {
+                return;
+            }
+            const stepProgress = {
+                report: ({ message }) => progress.report({ message: `(${index + 1}/${targets.length}) ${message}` })
+            };
+            stepProgress.report({ message: `Uninstalling R ${entry.installation.name}` });
+            try {
+                await handleRigOperation('uninstall', entry.installation.name, 'rm', { progress: stepProgress, token });
+            } catch (error) {
+                log.error(`Failed to uninstall R ${entry.installation.name}:`, error.message);
+                failed.push(entry.installation.name);
+            }
+        }
+    });
+
+    if (failed.length > 0) {
+        log.showError(`Could not uninstall: ${failed.join(', ')}.`);
+    } else {
+        vscode.window.showInformationMessage(`Uninstalled ${targets.length} R version(s).`);
+    }
+}
+
+/**
+ * Makes sure a version name is one rig reported before it is passed to rig.
+ * Names can come from project files such as renv.lock, which may not be trusted.
+ * Installs also accept any release number, which rig resolves itself.
+ * @param {string} versionName - Version name or alias
+ * @param {string} kind - 'installed' to check `rig list`, 'available' to check `rig available`
+ * @returns {Promise<void>}
+ * @throws {Error} If the name is unknown or unsafe
+ */
+async function ensureKnownVersion(versionName, kind) {
+    if (!rigRunner.isSafeVersionName(versionName)) {
+        log.showError(`"${versionName}" is not a valid R version name.`);
+        throw new Error(`Invalid R version name: ${versionName}`);
+    }
+    // Older patches such as a 4.3.1 pinned in renv.lock or a manifest are not in `rig available`
+    if (kind === 'available' && versionResolver.isReleaseVersionName(versionName)) {
+        return;
+    }
+
+    const versions = kind === 'available'
+        ? await rigState.getAvailable('Could not fetch available R versions')
+        : await rigState.getInstalled('Could not fetch installed R versions');
+    if (!rigRunner.isKnownVersionName(versionName, versions, { allowAliases: kind === 'available' })) {
+        const message = kind === 'available'
+            ? `R version ${versionName} is not available from rig.`
+            : `R version ${versionName} is not installed.`;
+        log.showError(message);
+        throw new Error(message);
+    }
+}
+
+/**
+ * Asks for confirmation and uninstalls an R version
+ * @param {string} versionName - Name of the version to uninstall
+ * @returns {Promise<void>}
+ */
+async function confirmAndUninstall(versionName) {
+    const choice = await vscode.window.showWarningMessage(
+        `Are you sure you want to uninstall R version ${versionName}? This action cannot be undone.`,
+        'Yes, Uninstall',
+        'Cancel'
+    );
+
+    if (choice === 'Yes, Uninstall') {
+        await handleRigOperation('uninstall', versionName, 'rm');
+    }
+}
+
+/**
+ * Runs a rig install or uninstall with the method of the current platform,
+ * reporting rig's output to a progress notification
+ * @param {string} operation - Operation name ('install' or 'uninstall')
+ * @param {string} version - Version to operate on
+ * @param {string[]} args - Arguments passed to rig, e.g. ['add', '--without-pak', '4.3.1']
+ * @param {vscode.Progress<{message?: string}>} progress - Receives the last line of rig output
+ * @param {vscode.CancellationToken} token - Stops rig and everything it started when cancelled
+ * @param {(text: string) => void} [onOutput] - Receives stdout and stderr as they arrive
+ * @returns {Promise<void>}
+ */
+function runRigOperation(operation, version, args, progress, token, onOutput = () => {}) {
+    // On Windows, rig operations typically don't require elevation
+    return process.platform === 'win32'
+        ? handleWindowsRigOperation(operation, version, args, progress, token, onOutput)
+        : handleUnixRigOperation(operation, version, args, progress, token, onOutput);
+}
+
+/**
+ * Handles rig operations on Windows
+ * @param {string} operation - Operation name ('install' or 'uninstall')
+ * @param {string} version - Version to operate on
+ * @param {string[]} args - Arguments passed to rig
+ * @param {vscode.Progress<{message?: string}>} progress
+ * @param {vscode.CancellationToken} token
+ * @param {(text: string) => void} onOutput
+ * @returns {Promise<void>}
+ */
+function handleWindowsRigOperation(operation, version, args, progress, token, onOutput) {
+    const child = rigRunner.spawnRig(args);
+
+    return new Promise((resolve, reject) => {
+        token.onCancellationRequested(() => {
+            killProcessTree(child);
+            vscode.window.showWarningMessage(`${operation.charAt(0).toUpperCase() + operation.slice(1)} of R ${version} cancelled.`);
+            reject(new Error('Operation cancelled'));
+        });
+
+        let stderr = '';
+
+        child.stdout.on('data', data => {
+            const output = data.toString();
+            onOutput(output);
+            const message = output.trim().split('\n').pop();
+            if (message) {
+                progress.report({ message });
             }
         });
+
+        child.stderr.on('data', data => {
+            stderr += data.toString();
+            onOutput(data.toString());
+        });
+
+        child.on('close', code => {
+            if (code === 0) {
+                resolve();
+            } else {
+                const errorMsg = stderr.includes('Access is denied') || stderr.includes('permission')
+                    ? `Failed to ${operation} R ${version}. Administrator privileges may be required. Try running VS Code as administrator.`
+                    : `Failed to ${operation} R version ${version}. ${stderr || `Exit code: ${code}`}`;
+                log.showError(errorMsg);
+                reject(new Error(errorMsg));
+            }
+        });
+
+        child.on('error', err => {
+            log.showError(`Failed to start ${operation} process: ${err.message}`);
+            reject(err);
+        });
+    });
+}
+
+/**
+ * Handles rig operations on Unix-like systems (macOS, Linux) with elevated privileges
+ * @param {string} operation - Operation name ('install' or 'uninstall')
+ * @param {string} version - Version to operate on
+ * @param {string[]} args - Arguments passed to rig
+ * @param {vscode.Progress<{message?: string}>} progress
+ * @param {vscode.CancellationToken} token
+ * @param {(text: string) => void} onOutput
+ * @returns {Promise<void>}
+ */
+async function handleUnixRigOperation(operation, version, args, progress, token, onOutput) {
+    try {
+        await elevation.runElevatedRig(args, {
+            purpose: `${operation} R ${version}`,
+            token,
+            onStdout: output => {
+                onOutput(output);
+                const message = output.trim().split('\n').pop();
+                if (message) {
+                    progress.report({ message });
+                }
+            },
+            onStderr: onOutput
+        });
+    } catch (error) {
+        elevation.showElevationError(error);
+        throw error;
+    }
+}
+
+/**
+ * This method is called when your extension is activated.
+ * @param {vscode.ExtensionContext} context
+ */
+function activate(context) {
+    log.info('"rig-manager" is now active!');
+    extensionContext = context;
+    context.subscriptions.push({ dispose: log.dispose });
+
+    // Create the status bar item
+    rStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
+    rStatusBarItem.command = 'rig-manager.showStatusMenu';
+    context.subscriptions.push(rStatusBarItem);
+
+    // Everything that shows rig state is refreshed when it changes
+    rigState = new RigStateService();
+    context.subscriptions.push(rigState);
+
+    // Installs, uninstalls and switches run one at a time in the background
+    operationQueue = new OperationQueue();
+    const jobsTreeProvider = new JobsTreeProvider(operationQueue);
+    context.subscriptions.push(
+        operationQueue,
+        jobsTreeProvider,
+        vscode.window.registerTreeDataProvider('rig-manager.jobs', jobsTreeProvider),
+        operationQueue.onDidChange(updateStatusBar)
+    );
+
+    // Register the R Versions tree view
+    versionsTreeProvider = new RVersionsTreeProvider({
+        listInstalled: () => rigState.getInstalled(),
+        listAvailable: () => rigState.getAvailable(),
+        getRequirement: getProjectRequirement,
+        isAvailable: () => rigStatus?.status === 'ok'
+    });
+    context.subscriptions.push(
+        versionsTreeProvider,
+        vscode.window.registerTreeDataProvider('rig-manager.versions', versionsTreeProvider),
+        rigState.onDidChange(() => {
+            updateStatusBar();
+            versionsTreeProvider.refresh();
+            requirementDiagnostics.refresh();
+            diskUsageProvider.update();
+            notifyActiveVersionChange();
+        })
+    );
+
+    // Disk Usage view; workspace folders are remembered so cleanups know which versions they need
+    diskUsageProvider = new diskUsage.DiskUsageTreeProvider({
+        isAvailable: () => rigStatus?.status === 'ok',
+        listInstalled: () => rigState.getInstalled(),
+        findNeeded: installedVersions => diskUsage.findNeededVersions(
+            installedVersions,
+            diskUsage.getRecentWorkspaceFolders(context.globalState),
+            getMatchPolicy(),
+            Math.max(0, vscode.workspace.getConfiguration('rig-manager').get('requirements.searchDepth', 2))
+        )
+    });
+    const diskUsageView = vscode.window.createTreeView('rig-manager.diskUsage', {
+        treeDataProvider: diskUsageProvider,
+        canSelectMany: true
+    });
+    diskUsage.recordWorkspaceFolders(context.globalState, vscode.workspace.workspaceFolders);
+    context.subscriptions.push(
+        diskUsageProvider,
+        diskUsageView,
+        vscode.workspace.onDidChangeWorkspaceFolders(() => {
+            diskUsage.recordWorkspaceFolders(context.globalState, vscode.workspace.workspaceFolders);
+        })
+    );
+
+    // Warnings and quick fixes on the R version line of open renv.lock and DESCRIPTION files
+    requirementDiagnostics = new RequirementDiagnostics({
+        isAvailable: () => rigStatus?.status === 'ok',
+        listInstalled: () => rigState.getInstalled(),
+        listAvailable: () => rigState.getAvailable(),
+        getActiveInstallation: (installedVersions, folder) => workspacePin.resolveActiveVersion(installedVersions, folder).version,
+        getMatchPolicy,
+        getEnabledDetectors
+    });
+    context.subscriptions.push(
+        requirementDiagnostics,
+        vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('rig-manager.requirements.matchPolicy') || e.affectsConfiguration('rig-manager.requirements.sources')) {
+                requirementDiagnostics.refresh();
+                updateStatusBar();
+            }
+        })
+    );
+
+    // Register all commands
+    registerCommands(context);
+    registerVersionsViewCommands(context);
+
+    // Keep the status bar and terminal environment in sync with workspace pins
+    registerPinWatchers(context);
+
+    // Re-check requirements when project files that record them appear or change
+    registerRequirementWatchers(context);
+
+    // Optional periodic check for newer R releases
+    const updateChecker = new UpdateChecker(context.globalState, {
+        listInstalled: () => rigState.getInstalled(),
+        listAvailable: () => rigState.getAvailable(),
+        install: installUpdate
+    });
+    context.subscriptions.push(
+        updateChecker,
+        vscode.commands.registerCommand('rig-manager.checkForUpdates', () => updateChecker.check(true)),
+        vscode.commands.registerCommand('rig-manager.showUpdates', () => updateChecker.showUpdates())
+    );
+
+    // Versioned API for other extensions
+    activeVersionEmitter = new vscode.EventEmitter();
+    context.subscriptions.push(activeVersionEmitter);
+
+    // Keep REditorSupport and Quarto on the active R version when opted in
+    context.subscriptions.push(
+        activeVersionEmitter.event(() => syncEditorSettings()),
+        vscode.workspace.onDidChangeConfiguration(e => {
+            // REditorSupport starts its console with the program and arguments set for ours
+            if (e.affectsConfiguration('rig-manager.integration.editorSettings') || e.affectsConfiguration('rig-manager.rConsole')) {
+                // Changing the mode is a request to be asked again
+                declinedEditorChanges = undefined;
+                syncEditorSettings();
+            }
+        }),
+        vscode.commands.registerCommand('rig-manager.revertEditorSettings', revertEditorSettings)
+    );
+
+    // Everything that runs rig on startup waits until rig is found.
+    // Until then the R Versions view explains how to install it.
+    let started = false;
+    const checkRig = async () => {
+        const found = await checkRigInstallation();
+        if (found && !started) {
+            started = true;
+            startWithRig(updateChecker);
+        }
+        return found;
+    };
+    context.subscriptions.push(
+        vscode.commands.registerCommand('rig-manager.checkRig', async () => {
+            if (await checkRig()) {
+                vscode.window.showInformationMessage(`Found rig${rigStatus.version ? ` ${rigStatus.version}` : ''} at ${rigStatus.executable}.`);
+            } else {
+                vscode.window.showWarningMessage(rigDetection.describeProblem(rigStatus));
+            }
+        }),
+        vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('rig-manager.rigPath')) {
+                checkRig();
+            }
+        })
+    );
+    checkRig();
+
+    return createApi({
+        listInstalled: () => rigState.getInstalled(),
+        getActiveVersion,
+        getRequiredVersion,
+        switchVersion: switchToVersion,
+        onDidChangeActiveVersion: activeVersionEmitter.event
+    });
+}
+
+/**
+ * Runs the startup work that needs rig: status bar, console, requirement check,
+ * update checks and editor settings sync
+ * @param {UpdateChecker} updateChecker
+ */
+function startWithRig(updateChecker) {
+    // Update status bar and launch console on activation.
+    // The workspace pin is applied first so the console inherits its environment.
+    updateStatusBar();
+    applyWorkspacePin().then(() => launchRConsole());
+
+    // Check for renv requirements when extension activates
+    setTimeout(() => {
+        checkRenvRequirements().catch(error => {
+            log.error('Error checking renv requirements:', error);
+        });
+    }, 1000);
+
+    updateChecker.schedule();
+    syncEditorSettings();
+    notifyActiveVersionChange();
+}
+
+/**
+ * Looks for rig and updates the context keys, R Versions view and status bar accordingly
+ * @returns {Promise<boolean>} - True if a usable rig was found
+ */
+async function checkRigInstallation() {
+    rigStatus = await rigDetection.detectRig();
+    await rigDetection.setRigContext(rigStatus);
+    if (rigStatus.status === 'ok') {
+        log.info(`Using rig ${rigStatus.version || '(unknown version)'} at ${rigStatus.executable}`);
+        rigState.invalidate();
+        return true;
+    }
+    log.warn(rigDetection.describeProblem(rigStatus));
+    versionsTreeProvider.refresh();
+    requirementDiagnostics.refresh();
+    diskUsageProvider.update();
+    updateStatusBar();
+    return false;
+}
+
+/**
+ * Resolves the R version used for a workspace folder, as exposed by the public API
+ * @param {vscode.WorkspaceFolder} [folder] - Defaults to the active workspace folder
+ * @returns {Promise<import('./src/api').ActiveRVersion>}
+ */
+async function getActiveVersion(folder = workspacePin.getActiveWorkspaceFolder()) {
+    const installedVersions = await rigState.getInstalled();
+    const { version, scope, pin } = workspacePin.resolveActiveVersion(installedVersions, folder);
+    return { version: toApiVersion(version), scope, pinnedVersion: pin?.version };
+}
+
+/**
+ * Detects the R version a workspace folder's project files require, as exposed by the public API
+ * @param {vscode.WorkspaceFolder} [folder] - Defaults to the active workspace folder
+ * @returns {import('./src/api').RequiredRVersion | undefined}
+ */
+function getRequiredVersion(folder = workspacePin.getActiveWorkspaceFolder()) {
+    if (!folder) {
+        return undefined;
+    }
+    const requirement = requirements.detectRequirement(folder.uri.fsPath, getEnabledDetectors());
+    if (!requirement) {
+        return undefined;
+    }
+    return {
+        constraint: versionResolver.formatConstraint(requirement),
+        version: requirement.version,
+        operator: requirement.operator,
+        source: requirement.detector,
+        file: requirement.file,
+        line: requirement.line
+    };
+}
+
+/**
+ * Restores the REditorSupport settings changed by syncEditorSettings, removes QUARTO_R
+ * and turns syncing off for the workspace
+ * @returns {Promise<void>}
+ */
+async function revertEditorSettings() {
+    try {
+        const restored = await editorIntegration.revertChanges(extensionContext.workspaceState);
+        if (editorIntegration.getMode() !== 'off' && vscode.workspace.workspaceFolders?.length) {
+            await vscode.workspace.getConfiguration('rig-manager')
+                .update('integration.editorSettings', 'off', vscode.ConfigurationTarget.Workspace);
+        }
+        await applyWorkspacePin();
+        vscode.window.showInformationMessage(restored > 0
+            ? `Restored ${restored} REditorSupport setting(s). Editor settings sync is off for this workspace.`
+            : 'No REditorSupport settings were changed by Rig Manager.');
+    } catch (error) {
+        log.showError(`Failed to revert REditorSupport settings: ${error.message}`);
+    }
+}
+
+/**
+ * Fires onDidChangeActiveVersion when the R version of the active workspace folder
+ * differs from the one last reported. The first call only records the current version.
+ */
+async function notifyActiveVersionChange() {
+    if (!activeVersionEmitter) {
+        return;
+    }
+    let active;
+    try {
+        active = await getActiveVersion();
+    } catch (error) {
+        log.warn(`Could not check the active R version: ${error.message}`);
+        return;
+    }
+    const name = active.version?.name ?? '';
+    if (lastActiveVersionName !== undefined && name !== lastActiveVersionName) {
+        activeVersionEmitter.fire(active);
+    }
+    lastActiveVersionName = name;
+}
+
+/**
+ * Registers all extension commands
+ * @param {vscode.ExtensionContext} context
+ */
+function registerCommands(context) {
+    // Switch R version command
+    // Other features pass what triggered the switch; the Command Palette passes nothing
+    const switchVersionDisposable = vscode.commands.registerCommand('rig-manager.switchVersion', async trigger => {
+        try {
+            const versionsData = await rigState.getInstalled('Error fetching installed R versions');
+            // Recently used versions first
+            const ordered = switchHistory.orderByRecentUse(versionsData, switchHistory.getHistory(context.globalState));
+            const selectedItem = await showVersionQuickPick(ordered, 'Select an R version to switch to', 'switch');
+            
+            if (selectedItem) {
+                await switchToVersion(selectedItem.label, typeof trigger === 'string' ? trigger : 'manual');
+            }
+        } catch (error) {
+            log.error(`Switching R version failed: ${error.message}`);
+        }
+    });
+
+    // Install R version command
+    const installVersionDisposable = vscode.commands.registerCommand('rig-manager.installVersion', async () => {
+        try {
+            await installWithWizard();
+        } catch (error) {
+            log.error(`Installing R failed: ${error.message}`);
+        }
     });
 
     // Remove R version command
     const removeVersionDisposable = vscode.commands.registerCommand('rig-manager.removeVersion', async () => {
         try {
-            const installedVersions = await executeRigCommand('rig list --json', 'Could not fetch installed R versions');
+            const installedVersions = await rigState.getInstalled('Could not fetch installed R versions');
             const removableVersions = installedVersions.filter(r => !r.default);
             
             if (removableVersions.length === 0) {
@@ -437,44 +1353,445 @@ function registerCommands(context) {
                 return;
             }
 
-            const selectedItem = await showVersionQuickPick(removableVersions, 'Select an R version to uninstall', 'remove');
-            
-            if (selectedItem) {
-                const choice = await vscode.window.showWarningMessage(
-                    `Are you sure you want to uninstall R version ${selectedItem.label}? This action cannot be undone.`,
-                    'Yes, Uninstall',
-                    'Cancel'
-                );
-                
-                if (choice === 'Yes, Uninstall') {
-                    await handleRigOperation('uninstall', selectedItem.label, 'rm');
-                }
-            }
-        } catch {
-            // Error already handled in utility functions
-        }
-    });
+            const selectedItem = await showVersionQuickPick(removableVersions, 'Select an R version to uninstall', 'remove');
+            
+            if (selectedItem) {
+                await confirmAndUninstall(selectedItem.label);
+            }
+        } catch (error) {
+            log.error(`Uninstalling R failed: ${error.message}`);
+        }
+    });
+
+    // Refresh command
+    const refreshDisposable = vscode.commands.registerCommand('rig-manager.refresh', () => {
+        rigState.invalidate({ includeAvailable: true });
+        launchRConsole(true);
+        vscode.window.showInformationMessage('R version status refreshed and console restarted.');
+    });
+
+    // Check renv requirements command
+    const checkRenvDisposable = vscode.commands.registerCommand('rig-manager.checkRenvRequirements', () => {
+        checkRenvRequirements(true);
+    });
+
+    // renv commands run with the project's active R version
+    const restoreRenvDisposable = vscode.commands.registerCommand('rig-manager.renv.restore', () => runRenvInProject('restore'));
+    const renvStatusDisposable = vscode.commands.registerCommand('rig-manager.renv.status', () => runRenvInProject('status'));
+
+    // Pin R version for workspace command
+    const pinVersionDisposable = vscode.commands.registerCommand('rig-manager.pinVersion', async () => {
+        try {
+            const versionsData = await rigState.getInstalled('Error fetching installed R versions');
+            const selectedItem = await showVersionQuickPick(versionsData, 'Select an R version to pin for this workspace', 'switch');
+
+            if (selectedItem) {
+                await pinWorkspaceVersion(selectedItem.label);
+            }
+        } catch (error) {
+            log.error(`Pinning R version failed: ${error.message}`);
+        }
+    });
+
+    // Unpin workspace R version command
+    const unpinVersionDisposable = vscode.commands.registerCommand('rig-manager.unpinVersion', async () => {
+        const folder = workspacePin.getActiveWorkspaceFolder();
+        if (!folder) {
+            vscode.window.showInformationMessage('No workspace folder is open.');
+            return;
+        }
+
+        try {
+            const removed = await workspacePin.removePin(folder);
+            if (!removed) {
+                vscode.window.showInformationMessage(`No R version is pinned for workspace: ${folder.name}`);
+                return;
+            }
+            vscode.window.showInformationMessage(`Removed R version pin for workspace: ${folder.name}`);
+            await applyWorkspacePin();
+            onActiveVersionChanged();
+        } catch (error) {
+            log.showError(`Failed to remove R version pin: ${error.message}`);
+        }
+    });
+
+    // Package library commands
+    const listLibrariesDisposable = vscode.commands.registerCommand('rig-manager.listLibraries', async () => {
+        const library = await pickLibrary('Package libraries of the default R version');
+        if (!library) {
+            return;
+        }
+        const folder = workspacePin.getActiveWorkspaceFolder();
+        const actions = ['Set as Default'];
+        if (folder) {
+            actions.push('Use for This Workspace');
+        }
+        const choice = await vscode.window.showQuickPick(actions, { placeHolder: `Package library: ${library.name}` });
+        if (choice === 'Set as Default') {
+            await setDefaultLibrary(library.name);
+        } else if (choice === 'Use for This Workspace') {
+            const config = vscode.workspace.getConfiguration('rig-manager', folder.uri);
+            await config.update('library.name', library.name, vscode.ConfigurationTarget.WorkspaceFolder);
+            vscode.window.showInformationMessage(`Workspace ${folder.name} now uses package library: ${library.name}`);
+        }
+    });
+
+    const addLibraryDisposable = vscode.commands.registerCommand('rig-manager.addLibrary', async () => {
+        const name = await vscode.window.showInputBox({
+            prompt: 'Name of the new package library',
+            validateInput: value => libraries.isValidLibraryName(value)
+                ? undefined
+                : 'Use letters, digits, ".", "_" and "-", starting with a letter or digit.'
+        });
+        if (!name) {
+            return;
+        }
+        try {
+            await libraries.addLibrary(name);
+            vscode.window.showInformationMessage(`Created package library: ${name}`);
+        } catch (error) {
+            log.showError(`Failed to create package library ${name}: ${error.message}`);
+        }
+    });
+
+    const removeLibraryDisposable = vscode.commands.registerCommand('rig-manager.removeLibrary', async () => {
+        const library = await pickLibrary('Select a package library to delete', lib => !lib.default);
+        if (!library) {
+            return;
+        }
+        const choice = await vscode.window.showWarningMessage(
+            `Delete package library ${library.name} and all packages in it? This action cannot be undone.`,
+            { modal: true },
+            'Delete'
+        );
+        if (choice !== 'Delete') {
+            return;
+        }
+        try {
+            await libraries.removeLibrary(library.name);
+            vscode.window.showInformationMessage(`Deleted package library: ${library.name}`);
+        } catch (error) {
+            log.showError(`Failed to delete package library ${library.name}: ${error.message}`);
+        }
+    });
+
+    const setDefaultLibraryDisposable = vscode.commands.registerCommand('rig-manager.setDefaultLibrary', async () => {
+        const library = await pickLibrary('Select the default package library');
+        if (library) {
+            await setDefaultLibrary(library.name);
+        }
+    });
+
+    // R consoles for a chosen version, from the command palette and the terminal profile list
+    const newConsoleDisposable = vscode.commands.registerCommand('rig-manager.newConsole', async () => {
+        try {
+            const installation = await terminalProfiles.pickInstallation(await rigState.getInstalled('Could not launch R console'));
+            if (installation) {
+                vscode.window.createTerminal(terminalProfiles.createConsoleOptions(installation)).show();
+            }
+        } catch (error) {
+            log.error(`Opening R console failed: ${error.message}`);
+        }
+    });
+    const terminalProfileDisposable = vscode.window.registerTerminalProfileProvider(
+        terminalProfiles.PROFILE_ID,
+        new terminalProfiles.RTerminalProfileProvider(() => rigState.getInstalled('Could not launch R console'))
+    );
+
+    // Run a script, tests or R CMD check across several R versions
+    const runMatrixDisposable = vscode.commands.registerCommand('rig-manager.runMatrix', async () => {
+        try {
+            await runAcrossVersions();
+        } catch (error) {
+            log.error(`Running across R versions failed: ${error.message}`);
+        }
+    });
+    const matrixTaskDisposable = vscode.tasks.registerTaskProvider(
+        matrixRun.MATRIX_TASK_TYPE,
+        new matrixRun.MatrixTaskProvider(() => rigState.getInstalled())
+    );
+
+    // Show log command
+    const showLogDisposable = vscode.commands.registerCommand('rig-manager.showLog', () => {
+        log.show();
+    });
+
+    // Copy diagnostic information command
+    const copyDiagnosticsDisposable = vscode.commands.registerCommand('rig-manager.copyDiagnostics', async () => {
+        const report = await diagnostics.buildDiagnosticReport(context.extension.packageJSON.version);
+        await vscode.env.clipboard.writeText(report);
+        vscode.window.showInformationMessage('Rig Manager diagnostic information copied to the clipboard.');
+    });
+
+    // Revert to previous R version command
+    const revertVersionDisposable = vscode.commands.registerCommand('rig-manager.revertVersion', async () => {
+        try {
+            await revertToPreviousVersion();
+        } catch (error) {
+            log.error(`Reverting R version failed: ${error.message}`);
+        }
+    });
+
+    // Clean up R versions command
+    const cleanupDisposable = vscode.commands.registerCommand('rig-manager.cleanup', async () => {
+        try {
+            await cleanUpVersions();
+        } catch (error) {
+            log.error(`Cleaning up R versions failed: ${error.message}`);
+        }
+    });
+
+    // Team manifest commands
+    const exportManifestDisposable = vscode.commands.registerCommand('rig-manager.exportManifest', async () => {
+        try {
+            await exportManifest();
+        } catch (error) {
+            log.error(`Exporting manifest failed: ${error.message}`);
+        }
+    });
+    const reconcileManifestDisposable = vscode.commands.registerCommand('rig-manager.reconcileManifest', async () => {
+        try {
+            await reconcileManifest();
+        } catch (error) {
+            log.error(`Reconciling manifest failed: ${error.message}`);
+        }
+    });
+
+    // Status bar menu command
+    const showStatusMenuDisposable = vscode.commands.registerCommand('rig-manager.showStatusMenu', showStatusMenu);
+
+    // Add all disposables to context
+    context.subscriptions.push(
+        showStatusMenuDisposable,
+        cleanupDisposable,
+        revertVersionDisposable,
+        exportManifestDisposable,
+        reconcileManifestDisposable,
+        newConsoleDisposable,
+        terminalProfileDisposable,
+        runMatrixDisposable,
+        matrixTaskDisposable,
+        listLibrariesDisposable,
+        addLibraryDisposable,
+        removeLibraryDisposable,
+        setDefaultLibraryDisposable,
+        showLogDisposable,
+        copyDiagnosticsDisposable,
+        switchVersionDisposable,
+        installVersionDisposable,
+        removeVersionDisposable,
+        refreshDisposable,
+        checkRenvDisposable,
+        restoreRenvDisposable,
+        renvStatusDisposable,
+        pinVersionDisposable,
+        unpinVersionDisposable
+    );
+}
+
+/**
+ * Registers the context actions of the R Versions tree view
+ * @param {vscode.ExtensionContext} context
+ */
+function registerVersionsViewCommands(context) {
+    context.subscriptions.push(
+        vscode.commands.registerCommand('rig-manager.versions.refresh', () => {
+            rigState.invalidate({ includeAvailable: true });
+        }),
+        vscode.commands.registerCommand('rig-manager.versions.switch', async item => {
+            try {
+                await switchToVersion(item.rVersion.name);
+            } catch (error) {
+                log.error(`Switching R version failed: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('rig-manager.versions.install', async item => {
+            try {
+                await handleRigOperation('install', item.rVersion.name, 'add');
+            } catch (error) {
+                log.error(`Installing R failed: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('rig-manager.versions.uninstall', async item => {
+            if (item.rVersion.default) {
+                vscode.window.showWarningMessage('Cannot uninstall the default R version. Please set a different version as default first.');
+                return;
+            }
+            try {
+                await confirmAndUninstall(item.rVersion.name);
+            } catch (error) {
+                log.error(`Uninstalling R failed: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('rig-manager.versions.openConsole', item => {
+            vscode.window.createTerminal(terminalProfiles.createConsoleOptions(item.rVersion)).show();
+        }),
+        vscode.commands.registerCommand('rig-manager.versions.reveal', item => {
+            vscode.commands.executeCommand('revealFileInOS', vscode.Uri.file(item.rVersion.path));
+        }),
+        vscode.commands.registerCommand('rig-manager.jobs.cancel', item => {
+            operationQueue.cancel(item.job);
+        }),
+        vscode.commands.registerCommand('rig-manager.jobs.retry', async item => {
+            const job = operationQueue.retry(item.job);
+            try {
+                await job.done;
+                vscode.window.showInformationMessage(`Finished: ${job.label}`);
+            } catch {
+                // Error already shown by the job; the view keeps it for another retry
+            }
+        }),
+        vscode.commands.registerCommand('rig-manager.jobs.showOutput', item => showJobOutput(item.job)),
+        vscode.commands.registerCommand('rig-manager.jobs.clearFinished', () => {
+            operationQueue.clearFinished();
+        }),
+        vscode.commands.registerCommand('rig-manager.diskUsage.refresh', () => {
+            diskUsageProvider.refresh();
+        }),
+        // With several items selected, VS Code passes the clicked item and the whole selection
+        vscode.commands.registerCommand('rig-manager.diskUsage.uninstall', async (item, selectedItems) => {
+            try {
+                await uninstallVersions((selectedItems?.length ? selectedItems : [item]).map(i => i.usage));
+            } catch (error) {
+                log.error(`Uninstalling R versions failed: ${error.message}`);
+            }
+        })
+    );
+}
+
+/**
+ * Watches pin files, pin settings and the active workspace folder
+ * @param {vscode.ExtensionContext} context
+ */
+function registerPinWatchers(context) {
+    const onPinChanged = () => {
+        applyWorkspacePin();
+        updateStatusBar();
+        versionsTreeProvider?.refresh();
+        requirementDiagnostics?.refresh();
+        notifyActiveVersionChange();
+    };
+
+    const pinFileWatcher = vscode.workspace.createFileSystemWatcher(`**/${workspacePin.PIN_FILE_NAME}`);
+    pinFileWatcher.onDidCreate(onPinChanged);
+    pinFileWatcher.onDidChange(onPinChanged);
+    pinFileWatcher.onDidDelete(onPinChanged);
+
+    const configDisposable = vscode.workspace.onDidChangeConfiguration(e => {
+        if (e.affectsConfiguration('rig-manager.workspace.rVersion') || e.affectsConfiguration('rig-manager.library.name')) {
+            onPinChanged();
+        }
+    });
+
+    // In multi-root workspaces the active folder, and so its pin, follows the active editor
+    let lastFolder = workspacePin.getActiveWorkspaceFolder();
+    const editorDisposable = vscode.window.onDidChangeActiveTextEditor(() => {
+        const folder = workspacePin.getActiveWorkspaceFolder();
+        if (folder !== lastFolder) {
+            lastFolder = folder;
+            onPinChanged();
+        }
+    });
+
+    context.subscriptions.push(pinFileWatcher, configDisposable, editorDisposable);
+}
+
+/**
+ * Asks what to run and with which R versions, runs it and shows a pass/fail summary.
+ * Each version's output is saved to a log file linked from the summary.
+ * @returns {Promise<void>}
+ */
+async function runAcrossVersions() {
+    const editor = vscode.window.activeTextEditor;
+    const folder = workspacePin.getActiveWorkspaceFolder();
+    const jobs = [];
+    if (editor?.document.languageId === 'r' && editor.document.uri.scheme === 'file') {
+        jobs.push({ label: `Run ${path.basename(editor.document.uri.fsPath)}`, kind: 'script' });
+    }
+    if (folder) {
+        jobs.push({ label: 'Run testthat Tests', description: folder.name, kind: 'testthat' });
+        jobs.push({ label: 'Run R CMD check', description: folder.name, kind: 'check' });
+    }
+    if (jobs.length === 0) {
+        vscode.window.showInformationMessage('Open an R file or a package folder to run it across R versions.');
+        return;
+    }
+
+    const job = await vscode.window.showQuickPick(jobs, { placeHolder: 'What should run across R versions?' });
+    if (!job) {
+        return;
+    }
+
+    const installed = (await rigState.getInstalled('Error fetching installed R versions')).filter(r => r.binary);
+    const selectedVersions = await vscode.window.showQuickPick(installed.map(r => ({
+        label: `R ${r.version}`,
+        description: r.name,
+        picked: true,
+        installation: r
+    })), { placeHolder: 'Select the R versions to run with', canPickMany: true });
+    if (!selectedVersions || selectedVersions.length === 0) {
+        return;
+    }
+
+    const mode = await vscode.window.showQuickPick(['One After Another', 'In Parallel'], { placeHolder: 'How should the versions run?' });
+    if (!mode) {
+        return;
+    }
+
+    if (job.kind === 'script' && editor.document.isDirty) {
+        await editor.document.save();
+    }
+    const spec = {
+        kind: job.kind,
+        file: job.kind === 'script' ? editor.document.uri.fsPath : undefined,
+        cwd: folder ? folder.uri.fsPath : path.dirname(editor.document.uri.fsPath)
+    };
+    const installations = selectedVersions.map(item => item.installation);
+
+    const results = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Running ${matrixRun.describeJob(spec)} with ${installations.length} R version(s)`,
+        cancellable: true
+    }, (progress, token) => matrixRun.runMatrix(installations, spec, {
+        parallel: mode === 'In Parallel',
+        token,
+        onResult: result => progress.report({ message: matrixRun.formatResult(result), increment: 100 / installations.length })
+    }));
 
-    // Refresh command
-    const refreshDisposable = vscode.commands.registerCommand('rig-manager.refresh', () => {
-        updateStatusBar();
-        launchRConsole(true);
-        vscode.window.showInformationMessage('R version status refreshed and console restarted.');
+    // Keep each run's output so the summary can link to it
+    const logDir = path.join(extensionContext.logUri.fsPath, 'matrix', new Date().toISOString().replace(/[:.]/g, '-'));
+    fs.mkdirSync(logDir, { recursive: true });
+    results.forEach(result => {
+        result.logFile = path.join(logDir, `R-${result.installation.name.replace(/[^\w.-]/g, '_')}.log`);
+        fs.writeFileSync(result.logFile, result.output, 'utf8');
     });
+    log.info(`${matrixRun.describeJob(spec)} across R versions:\n${results.map(matrixRun.formatResult).join('\n')}`);
 
-    // Check renv requirements command
-    const checkRenvDisposable = vscode.commands.registerCommand('rig-manager.checkRenvRequirements', () => {
-        checkRenvRequirements(true);
-    });
+    const passed = results.filter(r => r.passed).length;
+    const message = `${matrixRun.describeJob(spec)}: ${passed} of ${results.length} R version(s) passed.`;
+    const choice = passed === results.length
+        ? await vscode.window.showInformationMessage(message, 'Show Results')
+        : await vscode.window.showWarningMessage(message, 'Show Results');
+    if (choice === 'Show Results') {
+        await showMatrixResults(results);
+    }
+}
 
-    // Add all disposables to context
-    context.subscriptions.push(
-        switchVersionDisposable,
-        installVersionDisposable,
-        removeVersionDisposable,
-        refreshDisposable,
-        checkRenvDisposable
-    );
+/**
+ * Lists matrix results and opens the output of the one the user picks
+ * @param {Array} results - Results of runAcrossVersions, with their log files
+ * @returns {Promise<void>}
+ */
+async function showMatrixResults(results) {
+    const selected = await vscode.window.showQuickPick(results.map(result => ({
+        label: matrixRun.formatResult(result),
+        detail: result.logFile,
+        result
+    })), { placeHolder: 'Select a run to see its output' });
+    if (selected) {
+        const document = await vscode.workspace.openTextDocument(selected.result.logFile);
+        await vscode.window.showTextDocument(document);
+    }
 }
 
 /**
@@ -487,17 +1804,15 @@ function launchRConsole(forceNew = false) {
         return;
     }
 
-    // Dispose of existing R terminals if forcing new
+    // Dispose of existing R terminals if forcing new.
+    // Consoles opened for a specific version are left running.
     if (forceNew) {
-        const rTerminalNames = ['R Console', 'R Interactive'];
-        const existingRTerminals = vscode.window.terminals.filter(t => 
-            rTerminalNames.includes(t.name)
-        );
-        
+        const existingRTerminals = vscode.window.terminals.filter(terminalProfiles.isDefaultConsole);
+
         if (existingRTerminals.length > 0) {
-            console.log(`Disposing ${existingRTerminals.length} existing R terminal(s)`);
+            log.info(`Disposing ${existingRTerminals.length} existing R terminal(s)`);
             existingRTerminals.forEach(terminal => {
-                console.log(`Disposing terminal: ${terminal.name}`);
+                log.info(`Disposing terminal: ${terminal.name}`);
                 terminal.dispose();
             });
         }
@@ -507,10 +1822,16 @@ function launchRConsole(forceNew = false) {
     const rEditorSupport = vscode.extensions.getExtension('REditorSupport.r');
 
     if (rEditorSupport) {
-        console.log('REditorSupport.r found. Creating R terminal.');
+        log.info('REditorSupport.r found. Creating R terminal.');
         vscode.commands.executeCommand('r.createRTerm');
+        // R Interactive has no start message of its own, so name the library in the status bar
+        getActiveLibrary().then(library => {
+            if (library) {
+                vscode.window.setStatusBarMessage(`$(library) R Interactive package library: ${library.name}`, 10000);
+            }
+        });
     } else {
-        console.log('REditorSupport.r not found. Launching a basic R console.');
+        log.info('REditorSupport.r not found. Launching a basic R console.');
         launchBasicRConsole(forceNew);
     }
 }
@@ -520,8 +1841,7 @@ function launchRConsole(forceNew = false) {
  * @param {boolean} forceNew - Whether to force creation of new terminal
  */
 function launchBasicRConsole(forceNew) {
-    const R_CONSOLE_NAME = 'R Console';
-    const existingTerminal = vscode.window.terminals.find(t => t.name === R_CONSOLE_NAME);
+    const existingTerminal = vscode.window.terminals.find(terminalProfiles.isDefaultConsole);
 
     if (existingTerminal && !forceNew) {
         return;
@@ -531,22 +1851,26 @@ function launchBasicRConsole(forceNew) {
         existingTerminal.dispose();
     }
 
-    executeRigCommand('rig list --json', 'Could not launch R console')
-        .then(versionsData => {
-            const defaultVersion = versionsData.find(r => r.default === true);
+    Promise.all([rigState.getInstalled('Could not launch R console'), getActiveLibrary()])
+        .then(([versionsData, library]) => {
+            // Use the workspace pin if there is one, otherwise the global default
+            const { version: activeVersion, scope } = workspacePin.resolveActiveVersion(versionsData);
 
-            if (defaultVersion && defaultVersion.binary) {
-                const rTerminal = vscode.window.createTerminal({
-                    name: R_CONSOLE_NAME,
-                    shellPath: defaultVersion.binary,
-                });
+            if (activeVersion && activeVersion.binary) {
+                const rTerminal = vscode.window.createTerminal(terminalProfiles.createConsoleOptions(activeVersion, {
+                    isDefault: true,
+                    // Tell the user which version and package library the console uses
+                    message: `R ${activeVersion.version}${library ? ` · package library: ${library.name}` : ''}`
+                }));
                 rTerminal.show();
+            } else if (scope === 'workspace') {
+                vscode.window.showWarningMessage('The R version pinned for this workspace is not installed. Cannot launch R console.');
             } else {
                 vscode.window.showWarningMessage('No default R version found. Cannot launch R console.');
             }
         })
-        .catch(() => {
-            // Error already handled in executeRigCommand
+        .catch(error => {
+            log.error(`Launching R console failed: ${error.message}`);
         });
 }
 
@@ -560,27 +1884,229 @@ function updateStatusBar() {
         return;
     }
 
-    executeRigCommand('rig list --json', 'Error fetching R versions for status bar')
-        .then(versionsData => {
+    // Point at the setup instructions instead of hiding when rig is unusable
+    if (rigStatus && rigStatus.status !== 'ok') {
+        rStatusBarItem.text = rigStatus.status === 'outdated'
+            ? `$(warning) R: rig ${rigStatus.version} outdated`
+            : '$(warning) R: rig not found';
+        rStatusBarItem.tooltip = rigDetection.describeProblem(rigStatus);
+        rStatusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+        rStatusBarItem.command = 'rig-manager.versions.focus';
+        rStatusBarItem.show();
+        return;
+    }
+    rStatusBarItem.command = 'rig-manager.showStatusMenu';
+
+    // Spin while the operation queue runs a job
+    const runningJob = operationQueue.running;
+    if (runningJob) {
+        const queued = operationQueue.getQueued();
+        rStatusBarItem.text = `$(sync~spin) R: ${runningJob.label}...${queued.length > 0 ? ` (+${queued.length} queued)` : ''}`;
+        rStatusBarItem.tooltip = [
+            runningJob.message ? `${runningJob.label}: ${runningJob.message}` : runningJob.label,
+            ...queued.map(job => `Queued: ${job.label}`),
+            'Click for R version actions.'
+        ].join('\n');
+        rStatusBarItem.backgroundColor = undefined;
+        rStatusBarItem.show();
+        return;
+    }
+
+    rigState.getInstalled()
+        .then(async versionsData => {
+            // A job may have started while rig was listing versions
+            if (operationQueue.running) {
+                return;
+            }
             const defaultVersion = versionsData.find(r => r.default === true);
+            const { version: activeVersion, scope, pin } = workspacePin.resolveActiveVersion(versionsData);
+            let warning = false;
 
-            if (defaultVersion) {
+            if (scope === 'workspace') {
+                const source = workspacePin.describePinSource(pin);
+                const globalInfo = defaultVersion ? `Global default: ${defaultVersion.name} (${defaultVersion.version})` : 'No global default set';
+                if (activeVersion) {
+                    rStatusBarItem.text = `$(pinned) R: ${activeVersion.version} (workspace)`;
+                    rStatusBarItem.tooltip = `Workspace R Version: ${activeVersion.name} (${activeVersion.version}), pinned in ${source}\n${globalInfo}`;
+                } else {
+                    rStatusBarItem.text = `$(warning) R: ${pin.version} (not installed)`;
+                    rStatusBarItem.tooltip = `R version ${pin.version} is pinned in ${source} but not installed.\n${globalInfo}`;
+                    warning = true;
+                }
+            } else if (defaultVersion) {
                 rStatusBarItem.text = `$(versions) R: ${defaultVersion.version}`;
-                rStatusBarItem.tooltip = `Default R Version: ${defaultVersion.name} (${defaultVersion.version})`;
-                rStatusBarItem.show();
+                rStatusBarItem.tooltip = `Default R Version (global): ${defaultVersion.name} (${defaultVersion.version})`;
             } else {
                 rStatusBarItem.text = `$(versions) R: Not set`;
-                rStatusBarItem.tooltip = 'No default R version selected. Click to choose one.';
-                rStatusBarItem.show();
+                rStatusBarItem.tooltip = 'No default R version selected.';
+            }
+
+            // Flag a project requirement the active version does not meet
+            const requirement = await getUnmetRequirement(versionsData, activeVersion);
+            if (requirement && activeVersion) {
+                rStatusBarItem.text = `$(warning) R: ${activeVersion.version}${scope === 'workspace' ? ' (workspace)' : ''}`;
+                rStatusBarItem.tooltip += `\nThis project requires R ${versionResolver.formatConstraint(requirement)} (${describeRequirementSource(requirement)}).`;
+                warning = true;
             }
+            rStatusBarItem.tooltip += '\nClick for R version actions.';
+            rStatusBarItem.backgroundColor = warning ? new vscode.ThemeColor('statusBarItem.warningBackground') : undefined;
+            rStatusBarItem.show();
         })
-        .catch(() => {
-            rStatusBarItem.hide();
+        .catch(error => {
+            // Refreshes do not pop up errors; the menu reports the failure when clicked
+            rStatusBarItem.text = '$(error) R: unavailable';
+            rStatusBarItem.tooltip = `Could not list R versions: ${error.message}\nClick for R version actions.`;
+            rStatusBarItem.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+            rStatusBarItem.show();
+        });
+}
+
+/**
+ * Finds the requirement of the active workspace folder's project files if the active R version does not meet it
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @param {Object | undefined} activeVersion - Installed version in use
+ * @returns {Promise<Object | undefined>} - Requirement from requirements.detectRequirement
+ */
+async function getUnmetRequirement(installedVersions, activeVersion) {
+    const folder = workspacePin.getActiveWorkspaceFolder();
+    const requirement = folder && requirements.detectRequirement(folder.uri.fsPath, getEnabledDetectors());
+    if (!requirement) {
+        return undefined;
+    }
+    // Aliases such as "release" can only be resolved against `rig available`
+    const availableVersions = requirement.operator === 'alias' ? await fetchAvailableVersions() : [];
+    return versionResolver.isSatisfied(activeVersion?.version, requirement, getMatchPolicy(), installedVersions, availableVersions)
+        ? undefined
+        : requirement;
+}
+
+/**
+ * Shows the status bar menu: switch, install the required version, open a console,
+ * re-check requirements and open settings
+ * @returns {Promise<void>}
+ */
+async function showStatusMenu() {
+    let installedVersions;
+    try {
+        installedVersions = await rigState.getInstalled('Error fetching installed R versions');
+    } catch {
+        // rigState showed rig's failure
+        return;
+    }
+    const { version: activeVersion } = workspacePin.resolveActiveVersion(installedVersions);
+    const requirement = await getUnmetRequirement(installedVersions, activeVersion);
+    const resolution = requirement && versionResolver.resolveRequirement(
+        requirement, installedVersions, await fetchAvailableVersions(), getMatchPolicy()
+    );
+
+    const items = [
+        { label: '$(versions) Switch R Version...', run: () => vscode.commands.executeCommand('rig-manager.switchVersion', 'status bar') }
+    ];
+    if (resolution && !resolution.exact && resolution.install) {
+        items.push({
+            label: `$(cloud-download) Install Required Version (R ${resolution.install})`,
+            description: `${versionResolver.formatConstraint(requirement)} in ${describeRequirementSource(requirement)}`,
+            run: () => handleRigOperation('install', resolution.install, 'add')
+        });
+    }
+    if (activeVersion) {
+        items.push({
+            label: '$(terminal) Open R Console',
+            description: `R ${activeVersion.version}`,
+            run: () => vscode.window.createTerminal(terminalProfiles.createConsoleOptions(activeVersion)).show()
+        });
+    }
+    if (operationQueue.jobs.length > 0) {
+        items.push({
+            label: '$(list-unordered) Show Background Jobs',
+            description: operationQueue.running ? operationQueue.running.label : '',
+            run: () => vscode.commands.executeCommand('rig-manager.jobs.focus')
         });
+    }
+    items.push(
+        { label: '$(checklist) Re-check Project Requirements', run: () => checkRenvRequirements(true) },
+        { label: '$(gear) Open Rig Manager Settings', run: () => vscode.commands.executeCommand('workbench.action.openSettings', 'rig-manager.') }
+    );
+
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder: activeVersion ? `Active R version: ${activeVersion.name} (${activeVersion.version})` : 'No active R version'
+    });
+    try {
+        await selected?.run();
+    } catch {
+        // Errors are reported by the action itself
+    }
+}
+
+/**
+ * Describes where a requirement was found, e.g. "pkg/DESCRIPTION line 5"
+ * @param {{file: string, line: number}} requirement
+ * @returns {string}
+ */
+function describeRequirementSource(requirement) {
+    return `${vscode.workspace.asRelativePath(requirement.file)} line ${requirement.line}`;
+}
+
+/**
+ * Gets the detector ids enabled by the `rig-manager.requirements.sources` setting
+ * @returns {string[]}
+ */
+function getEnabledDetectors() {
+    return vscode.workspace.getConfiguration('rig-manager').get('requirements.sources');
+}
+
+/**
+ * Collects the R version requirements of all project directories in all workspace folders
+ * @param {boolean} forceCheck - If true, parse errors are reported to the user
+ * @returns {Promise<Array<{folder: vscode.WorkspaceFolder, detector: string, file: string, version: string, operator: string, line: number}>>}
+ */
+async function collectRequirements(forceCheck) {
+    const config = vscode.workspace.getConfiguration('rig-manager');
+    const maxDepth = Math.max(0, config.get('requirements.searchDepth', 2));
+    const enabledDetectors = getEnabledDetectors();
+    const found = [];
+
+    const onParseError = (file, parseError) => {
+        log.error(`Failed to parse ${file}:`, parseError.message);
+        if (forceCheck) {
+            log.showError(`Found ${vscode.workspace.asRelativePath(file)} but failed to parse it.`);
+        }
+    };
+
+    for (const folder of vscode.workspace.workspaceFolders || []) {
+        const dirs = await requirements.findProjectDirectories(folder.uri.fsPath, maxDepth);
+        for (const dir of dirs) {
+            const requirement = requirements.detectRequirement(dir, enabledDetectors, onParseError);
+            if (requirement) {
+                knownRequirements.set(requirement.file, versionResolver.formatConstraint(requirement));
+                found.push({ folder, ...requirement });
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Gets the R version requirement of the active project, without any prompts.
+ * A workspace pin wins over requirements detected in project files.
+ * @returns {{version: string, operator: string} | undefined} - Requirement or undefined
+ */
+function getProjectRequirement() {
+    const folder = workspacePin.getActiveWorkspaceFolder();
+    const pin = workspacePin.getPinnedVersion(folder);
+    if (pin) {
+        // Pins may hold a constraint or alias, e.g. ">= 4.2" or "release"
+        return versionResolver.parseConstraint(pin.version) || { version: pin.version, operator: '==' };
+    }
+    if (!folder) {
+        return undefined;
+    }
+    return requirements.detectRequirement(folder.uri.fsPath, getEnabledDetectors());
 }
 
 /**
- * Checks if the current workspace has an renv.lock file and suggests switching to the required R version.
+ * Checks the R version requirements of all workspace folders and suggests switching to the required R version.
+ * Requirements come from renv.lock, DESCRIPTION, version files, Dockerfiles and GitHub workflows.
  * @param {boolean} forceCheck - If true, bypasses the configuration setting and always checks
  */
 async function checkRenvRequirements(forceCheck = false) {
@@ -589,116 +2115,466 @@ async function checkRenvRequirements(forceCheck = false) {
         if (!config.get('renv.autoCheck')) {
             return;
         }
+        // Project files of untrusted folders must not drive automatic switch or install prompts
+        if (!vscode.workspace.isTrusted) {
+            log.info('Workspace is not trusted; skipping automatic requirement check.');
+            return;
+        }
     }
 
     if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
         return;
     }
 
-    const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
-    const renvLockPath = path.join(workspaceRoot, 'renv.lock');
-
     try {
-        if (!fs.existsSync(renvLockPath)) {
-            if (forceCheck) {
-                vscode.window.showInformationMessage('No renv.lock file found in the current workspace.');
-            }
-            return;
-        }
+        const found = await collectRequirements(forceCheck);
 
-        const renvLockContent = fs.readFileSync(renvLockPath, 'utf8');
-        
-        let renvData;
-        try {
-            renvData = JSON.parse(renvLockContent);
-        } catch (parseError) {
-            console.error('Failed to parse renv.lock file:', parseError.message);
-            console.error('renv.lock content preview:', renvLockContent.substring(0, 200));
+        if (found.length === 0) {
             if (forceCheck) {
-                vscode.window.showErrorMessage('Found renv.lock file but failed to parse it. Please check if it\'s valid JSON.');
+                vscode.window.showInformationMessage('No R version requirement found in the current workspace.');
             }
             return;
         }
-        
-        const requiredRVersion = renvData.R?.Version;
-        
-        if (!requiredRVersion) {
-            console.log('No R version specified in renv.lock');
+
+        found.forEach(req => log.info(`Found ${req.file}:${req.line} requiring R version: ${versionResolver.formatConstraint(req)}`));
+
+        const policy = getMatchPolicy();
+        // Checks run on activation and on file changes only report rig failures when asked for
+        const installedVersions = await rigState.getInstalled(forceCheck ? 'Error checking installed R versions' : undefined);
+        // Aliases such as "release" can only be resolved against `rig available`
+        let availableVersions = found.some(req => req.operator === 'alias') ? await fetchAvailableVersions() : undefined;
+        // Compare each requirement against its folder's pin if there is one, otherwise the global default
+        const unsatisfied = found.filter(req => !versionResolver.isSatisfied(
+            workspacePin.resolveActiveVersion(installedVersions, req.folder).version?.version,
+            req,
+            policy,
+            installedVersions,
+            availableVersions || []
+        ));
+
+        if (unsatisfied.length === 0) {
+            const summary = found.map(req => `${versionResolver.formatConstraint(req)} (${describeRequirementSource(req)})`).join(', ');
+            log.info(`Already using required R version(s): ${summary}`);
             if (forceCheck) {
-                vscode.window.showInformationMessage('No R version requirement found in renv.lock file.');
+                vscode.window.showInformationMessage(`Already using the required R version: ${summary}`);
             }
+            await checkBioconductorReleases(found, installedVersions);
             return;
         }
 
-        console.log(`Found renv.lock requiring R version: ${requiredRVersion}`);
+        // Needed from here on to suggest installs and newer patch releases
+        availableVersions = availableVersions || await fetchAvailableVersions();
 
-        const installedVersions = await executeRigCommand('rig list --json', 'Error checking installed R versions');
-        const currentDefault = installedVersions.find(r => r.default === true);
-        
-        if (currentDefault && currentDefault.version === requiredRVersion) {
-            console.log(`Already using required R version: ${requiredRVersion}`);
-            if (forceCheck) {
-                vscode.window.showInformationMessage(`Already using the required R version: ${requiredRVersion}`);
-            }
+        const constraints = new Set(found.map(req => versionResolver.formatConstraint(req)));
+        if (constraints.size > 1) {
+            await resolveRequirementConflict(found, installedVersions, availableVersions);
             return;
         }
 
-        await handleRenvVersionRequirement(requiredRVersion, installedVersions, currentDefault);
+        const requirement = unsatisfied[0];
+        const currentDefault = workspacePin.resolveActiveVersion(installedVersions, requirement.folder).version;
+        await handleRenvVersionRequirement(requirement, installedVersions, currentDefault, describeRequirementSource(requirement), availableVersions);
 
     } catch (error) {
         if (error.code === 'ENOENT') {
             return;
         } else {
-            console.error('Error in checkRenvRequirements:', error.message);
+            log.error('Error in checkRenvRequirements:', error.message);
             if (forceCheck) {
-                vscode.window.showErrorMessage(`Error checking renv requirements: ${error.message}`);
+                log.showError(`Error checking renv requirements: ${error.message}`);
+            }
+        }
+    }
+}
+
+/**
+ * Gets the matching policy from the `rig-manager.requirements.matchPolicy` setting
+ * @returns {string} - 'exact', 'same-minor', 'latest-patch' or 'any-satisfying'
+ */
+function getMatchPolicy() {
+    return vscode.workspace.getConfiguration('rig-manager').get('requirements.matchPolicy', 'exact');
+}
+
+/**
+ * Fetches the R versions available to install, treating failures as an empty list
+ * @returns {Promise<Array>}
+ */
+async function fetchAvailableVersions() {
+    try {
+        return await rigState.getAvailable();
+    } catch (error) {
+        log.warn(`Could not fetch available R versions: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Lets the user resolve project requirements that ask for different R versions,
+ * either by choosing one requirement or by pinning each workspace folder to its own version.
+ * @param {Array} found - All requirements found, as returned by collectRequirements
+ * @param {Array} installedVersions - Array of installed R versions
+ * @param {Array} availableVersions - Array of R versions available to install
+ */
+async function resolveRequirementConflict(found, installedVersions, availableVersions) {
+    const policy = getMatchPolicy();
+    const byConstraint = new Map();
+    found.forEach(req => {
+        const constraint = versionResolver.formatConstraint(req);
+        const entry = byConstraint.get(constraint) || { requirement: req, sources: [] };
+        entry.sources.push(describeRequirementSource(req));
+        byConstraint.set(constraint, entry);
+    });
+
+    // Pinning per folder only works when every folder agrees on one requirement
+    const byFolder = new Map();
+    found.forEach(req => {
+        const constraints = byFolder.get(req.folder) || new Map();
+        constraints.set(versionResolver.formatConstraint(req), req);
+        byFolder.set(req.folder, constraints);
+    });
+    const canPinPerFolder = byFolder.size > 1 && [...byFolder.values()].every(constraints => constraints.size === 1);
+
+    const summary = [...byConstraint.entries()]
+        .map(([constraint, entry]) => `R ${constraint} (${entry.sources.join(', ')})`)
+        .join('; ');
+    const actions = canPinPerFolder ? ['Choose Version', 'Pin Each Folder', 'Not Now'] : ['Choose Version', 'Not Now'];
+    const choice = await vscode.window.showWarningMessage(
+        `Projects in this workspace require different R versions: ${summary}.`,
+        ...actions
+    );
+
+    if (choice === 'Choose Version') {
+        const selectedItem = await vscode.window.showQuickPick(
+            [...byConstraint.entries()].map(([constraint, entry]) => ({
+                label: constraint,
+                description: installedVersions.some(r => versionResolver.isSatisfied(r.version, entry.requirement, policy, installedVersions, availableVersions)) ? '(installed)' : '',
+                detail: `Required by: ${entry.sources.join(', ')}`
+            })),
+            { placeHolder: 'Select the R version to use for this workspace', matchOnDetail: true }
+        );
+
+        if (selectedItem) {
+            const entry = byConstraint.get(selectedItem.label);
+            const currentDefault = workspacePin.resolveActiveVersion(installedVersions).version;
+            await handleRenvVersionRequirement(entry.requirement, installedVersions, currentDefault, entry.sources.join(', '), availableVersions);
+        }
+    } else if (choice === 'Pin Each Folder') {
+        const missing = [];
+        for (const [folder, constraints] of byFolder.entries()) {
+            const [requirement] = constraints.values();
+            const { match, install } = versionResolver.resolveRequirement(requirement, installedVersions, availableVersions, policy);
+            if (!match && !install) {
+                missing.push(`R ${versionResolver.formatConstraint(requirement)} (${folder.name}, no release available)`);
+                continue;
             }
+            workspacePin.writePinFile(folder, match ? match.name : install);
+            if (!match) {
+                missing.push(`${install} (${folder.name})`);
+            }
+        }
+        await applyWorkspacePin();
+        onActiveVersionChanged();
+
+        if (missing.length > 0) {
+            vscode.window.showWarningMessage(`Pinned each folder to its required R version. Not installed yet: ${missing.join(', ')}.`);
+        } else {
+            vscode.window.showInformationMessage('Pinned each workspace folder to its required R version.');
         }
     }
 }
 
 /**
- * Handles the renv version requirement logic
- * @param {string} requiredRVersion - Required R version from renv.lock
+ * Watches the files requirement detectors read, and re-checks requirements when
+ * one is created or the requirement it records changes
+ * @param {vscode.ExtensionContext} context
+ */
+function registerRequirementWatchers(context) {
+    const onRequirementFileChanged = uri => {
+        const detector = requirements.findDetectorForFile(uri.fsPath, getEnabledDetectors());
+        const folder = vscode.workspace.getWorkspaceFolder(uri);
+        const maxDepth = Math.max(0, vscode.workspace.getConfiguration('rig-manager').get('requirements.searchDepth', 2));
+        if (!detector || !folder || requirements.getDepth(folder.uri.fsPath, requirements.getProjectDirectory(uri.fsPath)) > maxDepth) {
+            return;
+        }
+
+        let requirement;
+        try {
+            requirement = requirements.detectInFile(detector, uri.fsPath);
+        } catch {
+            // The file may be mid-write; the next change event will pick it up
+            return;
+        }
+
+        const constraint = requirement && versionResolver.formatConstraint(requirement);
+        if (knownRequirements.has(uri.fsPath) && knownRequirements.get(uri.fsPath) === constraint) {
+            return;
+        }
+        knownRequirements.set(uri.fsPath, constraint);
+        versionsTreeProvider?.refresh();
+        updateStatusBar();
+        if (requirement) {
+            log.info(`${uri.fsPath} now requires R version: ${constraint}`);
+            checkRenvRequirements().catch(error => {
+                log.error('Error checking renv requirements:', error);
+            });
+        }
+    };
+
+    const watchers = [
+        '**/{renv.lock,DESCRIPTION,.tool-versions,.R-version,Dockerfile}',
+        '**/.github/workflows/*.{yml,yaml}'
+    ].map(pattern => vscode.workspace.createFileSystemWatcher(pattern));
+    watchers.forEach(watcher => {
+        watcher.onDidCreate(onRequirementFileChanged);
+        watcher.onDidChange(onRequirementFileChanged);
+        watcher.onDidDelete(uri => {
+            knownRequirements.delete(uri.fsPath);
+            versionsTreeProvider?.refresh();
+            updateStatusBar();
+        });
+    });
+
+    const recheck = () => {
+        checkRenvRequirements().catch(error => {
+            log.error('Error checking renv requirements:', error);
+        });
+    };
+    const foldersDisposable = vscode.workspace.onDidChangeWorkspaceFolders(recheck);
+    // Automatic checks are skipped until the workspace is trusted
+    const trustDisposable = vscode.workspace.onDidGrantWorkspaceTrust(recheck);
+
+    context.subscriptions.push(...watchers, foldersDisposable, trustDisposable);
+}
+
+/**
+ * Handles the project version requirement logic
+ * @param {{version: string, operator: string}} requirement - Required R version, e.g. from renv.lock or DESCRIPTION
  * @param {Array} installedVersions - Array of installed R versions
  * @param {Object} currentDefault - Current default R version
+ * @param {string} source - File and line the requirement came from, for display
+ * @param {Array} availableVersions - Array of R versions available to install
  */
-async function handleRenvVersionRequirement(requiredRVersion, installedVersions, currentDefault) {
-    let requiredVersionInstalled = installedVersions.find(r => r.version === requiredRVersion);
-    
-    if (!requiredVersionInstalled) {
-        const [major, minor] = requiredRVersion.split('.');
-        requiredVersionInstalled = installedVersions.find(r => {
-            const [installedMajor, installedMinor] = r.version.split('.');
-            return installedMajor === major && installedMinor === minor;
-        });
-    }
+async function handleRenvVersionRequirement(requirement, installedVersions, currentDefault, source, availableVersions = []) {
+    const requiredRVersion = versionResolver.formatConstraint(requirement);
+    const currentVersion = currentDefault?.version || 'unknown';
+    const { match, exact, compatible, install, newerPatch } = versionResolver.resolveRequirement(
+        requirement,
+        installedVersions,
+        availableVersions,
+        getMatchPolicy()
+    );
 
-    if (requiredVersionInstalled) {
-        const versionMessage = requiredVersionInstalled.version === requiredRVersion 
-            ? `This project requires R version ${requiredRVersion} (found in renv.lock). Currently using ${currentDefault?.version || 'unknown'}. Would you like to switch?`
-            : `This project requires R version ${requiredRVersion} (found in renv.lock). Found compatible version ${requiredVersionInstalled.version}. Currently using ${currentDefault?.version || 'unknown'}. Would you like to switch?`;
+    if (match) {
+        let versionMessage = exact
+            ? `This project requires R version ${requiredRVersion} (found in ${source}). Found ${match.version}. Currently using ${currentVersion}. Would you like to switch?`
+            : `This project requires R version ${requiredRVersion} (found in ${source}). Found compatible version ${match.version}. Currently using ${currentVersion}. Would you like to switch?`;
+        const actions = ['Switch to Required Version'];
+        if (newerPatch) {
+            versionMessage += ` A newer patch release, R ${newerPatch.version}, can be installed.`;
+            actions.push(`Install ${newerPatch.name}`);
+        }
         
-        const choice = await vscode.window.showInformationMessage(
-            versionMessage,
-            'Switch to Required Version',
-            'Not Now'
-        );
+        const choice = await vscode.window.showInformationMessage(versionMessage, ...actions, 'Not Now');
         
         if (choice === 'Switch to Required Version') {
-            await switchToVersion(requiredVersionInstalled.name);
+            await switchToVersion(match.name, 'renv', requirement.folder);
+            await followUpRenvProject(requirement, match);
+        } else if (newerPatch && choice === `Install ${newerPatch.name}`) {
+            await handleRigOperation('install', newerPatch.name, 'add');
         }
     } else {
+        // No install is offered when no available release meets the requirement
+        const actions = install ? ['Install Required Version'] : [];
+        // Under the exact policy a same-minor install is still offered as a fallback
+        const offerCompatible = compatible && compatible.name !== currentDefault?.name;
+        if (offerCompatible) {
+            actions.push(`Switch to ${compatible.name}`);
+        }
+
         const choice = await vscode.window.showWarningMessage(
-            `This project requires R version ${requiredRVersion} (found in renv.lock), but it's not installed. Currently using ${currentDefault?.version || 'unknown'}.`,
-            'Install Required Version',
+            `This project requires R version ${requiredRVersion} (found in ${source}), but it's not installed${install ? '' : ' and no available R release meets it'}. Currently using ${currentVersion}.`,
+            ...actions,
             'Not Now'
         );
         
         if (choice === 'Install Required Version') {
-            await handleRigOperation('install', requiredRVersion, 'add');
+            await handleRigOperation('install', install, 'add');
+            await followUpRenvProject(requirement, workspacePin.findInstalledVersion(install, await rigState.getInstalled('Could not fetch installed R versions')));
+        } else if (offerCompatible && choice === `Switch to ${compatible.name}`) {
+            await switchToVersion(compatible.name, 'renv', requirement.folder);
+            await followUpRenvProject(requirement, compatible);
+        }
+    }
+}
+
+/**
+ * Once a requirement is met, checks the project's Bioconductor release and offers
+ * `renv::restore()` or `renv::status()` as set in `rig-manager.renv.followUp`.
+ * Does nothing for projects without a renv.lock.
+ * @param {{file: string}} requirement - Requirement that was handled
+ * @param {Object | undefined} installation - Installation switched to or installed
+ * @returns {Promise<void>}
+ */
+async function followUpRenvProject(requirement, installation) {
+    const projectDir = requirements.getProjectDirectory(requirement.file);
+    const lockfilePath = path.join(projectDir, 'renv.lock');
+    if (!installation?.binary || !fs.existsSync(lockfilePath)) {
+        return;
+    }
+    const selected = await checkBioconductorRelease(lockfilePath, installation, await rigState.getInstalled('Could not fetch installed R versions'));
+
+    const followUp = vscode.workspace.getConfiguration('rig-manager').get('renv.followUp', 'ask');
+    let command = followUp === 'off' ? undefined : followUp;
+    if (followUp === 'ask') {
+        const choice = await vscode.window.showInformationMessage(
+            `R ${selected.version} is ready for ${path.basename(projectDir)}. Restore its renv packages?`,
+            'Run renv::restore()',
+            'Run renv::status()',
+            'Not Now'
+        );
+        command = { 'Run renv::restore()': 'restore', 'Run renv::status()': 'status' }[choice];
+    }
+    if (command) {
+        await runRenvCommand(command, selected, projectDir);
+    }
+}
+
+/**
+ * Checks the Bioconductor release of each renv.lock against the R version its folder uses,
+ * and offers the right R for the first one that does not match
+ * @param {Array} found - Requirements from collectRequirements
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @returns {Promise<void>}
+ */
+async function checkBioconductorReleases(found, installedVersions) {
+    for (const requirement of found.filter(req => req.detector === 'renv')) {
+        const installation = workspacePin.resolveActiveVersion(installedVersions, requirement.folder).version;
+        const bioconductorVersion = renvTools.readBioconductorVersion(requirement.file);
+        const check = installation && bioconductorVersion && renvTools.checkBioconductor(bioconductorVersion, installation.version);
+        if (check && !check.compatible) {
+            await checkBioconductorRelease(requirement.file, installation, installedVersions);
+            return;
+        }
+    }
+}
+
+/**
+ * Warns when the Bioconductor release in a renv.lock does not support an installation's
+ * R version, offering to switch to (or install and switch to) the series it needs
+ * @param {string} lockfilePath - renv.lock to check
+ * @param {Object} installation - Installation the project uses
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @returns {Promise<Object>} - The installation to use from now on; `installation` itself
+ *   when the release matches, is unknown, or the user keeps the current version
+ */
+async function checkBioconductorRelease(lockfilePath, installation, installedVersions) {
+    const bioconductorVersion = renvTools.readBioconductorVersion(lockfilePath);
+    const check = bioconductorVersion && renvTools.checkBioconductor(bioconductorVersion, installation.version);
+    if (!check || check.compatible) {
+        return installation;
+    }
+
+    const installed = renvTools.findLatestInSeries(check.requiredSeries, installedVersions);
+    const available = installed ? undefined : renvTools.findLatestInSeries(check.requiredSeries, await fetchAvailableVersions());
+    const action = installed ? `Switch to ${installed.name}` : available && `Install and Switch to ${available.name}`;
+    const choice = await vscode.window.showWarningMessage(
+        `${vscode.workspace.asRelativePath(lockfilePath)} uses Bioconductor ${check.bioconductorVersion}, which requires R ${check.requiredSeries}, but R ${installation.version} is selected.`,
+        ...[action, 'Not Now'].filter(Boolean)
+    );
+    if (!action || choice !== action) {
+        return installation;
+    }
+
+    try {
+        if (!installed) {
+            await handleRigOperation('install', available.name, 'add');
+        }
+        const target = installed || workspacePin.findInstalledVersion(available.name, await rigState.getInstalled('Could not fetch installed R versions'));
+        if (!target) {
+            return installation;
+        }
+        await switchToVersion(target.name, 'renv', vscode.workspace.getWorkspaceFolder(vscode.Uri.file(lockfilePath)));
+        return target;
+    } catch (error) {
+        log.showError(`Could not switch to R ${check.requiredSeries}: ${error.message}`);
+        return installation;
+    }
+}
+
+/**
+ * Runs `renv::restore()` or `renv::status()` with an installation under a progress
+ * notification; the output goes to the "Rig Manager: renv" panel
+ * @param {'restore' | 'status'} command
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @param {string} projectDir - Folder containing renv.lock
+ * @returns {Promise<void>}
+ */
+async function runRenvCommand(command, installation, projectDir) {
+    const { title } = renvTools.RENV_COMMANDS[command];
+    // Starting R in the project runs its .Rprofile and renv/activate.R
+    if (!vscode.workspace.isTrusted) {
+        vscode.window.showWarningMessage(`${title} runs code from the project. Trust this workspace to run it.`);
+        return;
+    }
+
+    await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: `Running ${title} with R ${installation.version}`,
+        cancellable: true
+    }, async (progress, token) => {
+        try {
+            await renvTools.runRenvCommand(command, installation, projectDir, {
+                token,
+                onProgress: message => progress.report({ message })
+            });
+        } catch (error) {
+            if (token.isCancellationRequested) {
+                vscode.window.showWarningMessage(`Cancelled ${title}.`);
+            } else {
+                log.showError(`${title} failed with R ${installation.version}: ${error.message}`);
+            }
+        }
+    });
+}
+
+/**
+ * Runs `renv::restore()` or `renv::status()` for a renv project in the workspace with the
+ * R version its folder uses, after checking the project's Bioconductor release
+ * @param {'restore' | 'status'} command
+ * @returns {Promise<void>}
+ */
+async function runRenvInProject(command) {
+    const lockfiles = await vscode.workspace.findFiles('**/renv.lock', '**/{renv,node_modules}/**', 50);
+    if (lockfiles.length === 0) {
+        vscode.window.showInformationMessage('No renv.lock found in this workspace.');
+        return;
+    }
+    let lockfile = lockfiles[0];
+    if (lockfiles.length > 1) {
+        const selectedItem = await vscode.window.showQuickPick(
+            lockfiles.map(uri => ({ label: vscode.workspace.asRelativePath(uri), uri })),
+            { placeHolder: 'Select the renv project' }
+        );
+        if (!selectedItem) {
+            return;
         }
+        lockfile = selectedItem.uri;
+    }
+
+    let installedVersions;
+    try {
+        installedVersions = await rigState.getInstalled('Could not fetch installed R versions');
+    } catch {
+        // rigState showed rig's failure
+        return;
+    }
+    const { version: installation } = workspacePin.resolveActiveVersion(installedVersions, vscode.workspace.getWorkspaceFolder(lockfile));
+    if (!installation?.binary) {
+        vscode.window.showWarningMessage('No active R version found for this project.');
+        return;
     }
+    const selected = await checkBioconductorRelease(lockfile.fsPath, installation, installedVersions);
+    await runRenvCommand(command, selected, path.dirname(lockfile.fsPath));
 }
 
 /**
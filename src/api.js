@@ -0,0 +1,99 @@
+// Public API returned from `activate` for other extensions.
+// Consumers ask for a specific API version so the shape they depend on never changes under them:
+//
+//     const api = (await vscode.extensions.getExtension(rigManagerId).activate()).getAPI(1);
+
+const API_VERSION = 1;
+
+/**
+ * @typedef {Object} RVersion
+ * @property {string} name - rig name of the installation, e.g. "4.3-arm64"
+ * @property {string} version - R version, e.g. "4.3.1"
+ * @property {string[]} aliases - rig aliases such as "release"
+ * @property {string} path - Installation directory
+ * @property {string} binary - Path to the R executable
+ * @property {boolean} default - Whether this is the global `rig default`
+ */
+
+/**
+ * @typedef {Object} ActiveRVersion
+ * @property {RVersion | undefined} version - Active installation; undefined if the pinned version is not installed or no default is set
+ * @property {'workspace' | 'global'} scope - Whether the version comes from a workspace pin or `rig default`
+ * @property {string} [pinnedVersion] - Version named by the workspace pin, if any
+ */
+
+/**
+ * @typedef {Object} RequiredRVersion
+ * @property {string} constraint - Requirement as written, e.g. "4.3.1", ">= 4.2" or "release"
+ * @property {string} version - Version part of the constraint
+ * @property {string} operator - '==', '>=', '>', '<=', '<' or 'alias'
+ * @property {string} source - Detector that found it: 'renv', 'version-file', 'tool-versions', 'description', 'dockerfile' or 'github-workflow'
+ * @property {string} file - File the requirement was read from
+ * @property {number} line - 1-based line in that file
+ */
+
+/**
+ * @typedef {Object} RigManagerApiV1
+ * @property {1} version - API version
+ * @property {() => Promise<RVersion[]>} getInstalledVersions - Installed R versions
+ * @property {(workspaceFolder?: import('vscode').WorkspaceFolder) => Promise<ActiveRVersion>} getActiveVersion - R version used for a workspace folder (default: the active one)
+ * @property {(workspaceFolder?: import('vscode').WorkspaceFolder) => RequiredRVersion | undefined} getRequiredVersion - R version the folder's project files require
+ * @property {(name: string) => Promise<void>} switchVersion - Switches R version the same way as `Rig: Switch R Version`
+ * @property {import('vscode').Event<ActiveRVersion>} onDidChangeActiveVersion - Fires when the active R version changes
+ */
+
+/**
+ * Copies the fields of a `rig list --json` entry that are part of the API
+ * @param {Object | undefined} r - Installed version from rig
+ * @returns {RVersion | undefined}
+ */
+function toApiVersion(r) {
+    if (!r) {
+        return undefined;
+    }
+    return {
+        name: r.name,
+        version: r.version,
+        aliases: Array.isArray(r.aliases) ? [...r.aliases] : [],
+        path: r.path,
+        binary: r.binary,
+        default: r.default === true
+    };
+}
+
+/**
+ * Creates the object returned from `activate`
+ * @param {Object} host - Extension internals the API is built on
+ * @param {() => Promise<Array>} host.listInstalled - Resolves to `rig list --json` output
+ * @param {(workspaceFolder?: import('vscode').WorkspaceFolder) => Promise<ActiveRVersion>} host.getActiveVersion
+ * @param {(workspaceFolder?: import('vscode').WorkspaceFolder) => RequiredRVersion | undefined} host.getRequiredVersion
+ * @param {(name: string) => Promise<void>} host.switchVersion
+ * @param {import('vscode').Event<ActiveRVersion>} host.onDidChangeActiveVersion
+ * @returns {{getAPI: (version: number) => RigManagerApiV1}}
+ */
+function createApi(host) {
+    /** @type {RigManagerApiV1} */
+    const apiV1 = Object.freeze({
+        version: API_VERSION,
+        getInstalledVersions: async () => (await host.listInstalled()).map(toApiVersion),
+        getActiveVersion: workspaceFolder => host.getActiveVersion(workspaceFolder),
+        getRequiredVersion: workspaceFolder => host.getRequiredVersion(workspaceFolder),
+        switchVersion: name => host.switchVersion(name),
+        onDidChangeActiveVersion: host.onDidChangeActiveVersion
+    });
+
+    return {
+        getAPI(version) {
+            if (version !== API_VERSION) {
+                throw new Error(`Rig Manager API version ${version} is not supported. Supported versions: ${API_VERSION}.`);
+            }
+            return apiV1;
+        }
+    };
+}
+
+module.exports = {
+    API_VERSION,
+    toApiVersion,
+    createApi
+};
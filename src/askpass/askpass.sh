@@ -0,0 +1,3 @@
+#!/bin/sh
+# SUDO_ASKPASS helper: asks Rig Manager for the password through VS Code.
+ELECTRON_RUN_AS_NODE="1" "$RIG_MANAGER_ASKPASS_NODE" "$RIG_MANAGER_ASKPASS_MAIN" "$@"
@@ -0,0 +1,27 @@
+// Client side of the askpass helper.
+// sudo runs this (through askpass.sh) to read a password; the request is forwarded
+// to the extension over a local socket and the answer is printed to stdout.
+const net = require('net');
+
+const socket = net.connect(process.env.RIG_MANAGER_ASKPASS_HANDLE, () => {
+    socket.write(JSON.stringify({
+        nonce: process.env.RIG_MANAGER_ASKPASS_NONCE,
+        prompt: process.argv[2] || ''
+    }) + '\n');
+});
+
+let answer = '';
+socket.on('data', data => {
+    answer += data.toString();
+});
+socket.on('end', () => {
+    // An empty answer means the user cancelled the prompt
+    if (!answer) {
+        process.exit(1);
+    }
+    process.stdout.write(answer + '\n');
+    process.exit(0);
+});
+socket.on('error', () => {
+    process.exit(1);
+});
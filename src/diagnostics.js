@@ -0,0 +1,81 @@
+// Diagnostic report for bug reports: extension and rig versions, platform and rig state
+const vscode = require('vscode');
+const os = require('os');
+const { getRigExecutable, runRig } = require('./rigRunner');
+
+/**
+ * Runs rig and returns its output, or the error text if it fails
+ * @param {string[]} args - Arguments passed to rig
+ * @returns {Promise<string>}
+ */
+async function captureRig(args) {
+    try {
+        const { stdout } = await runRig(args);
+        return stdout.trim();
+    } catch (error) {
+        return `<failed: ${error.message}>`;
+    }
+}
+
+/**
+ * Replaces values that may hold secrets, such as tokens in console environment
+ * variables, so only their names or count end up in a public bug report
+ * @param {Object} settings - `rig-manager.*` settings, by section
+ * @returns {Object}
+ */
+function redactSettings(settings) {
+    const rConsole = settings.rConsole;
+    if (!rConsole) {
+        return settings;
+    }
+    return {
+        ...settings,
+        rConsole: {
+            ...rConsole,
+            env: Object.fromEntries(Object.keys(rConsole.env || {}).map(name => [name, '<redacted>'])),
+            args: (rConsole.args || []).map(() => '<redacted>')
+        }
+    };
+}
+
+/**
+ * Builds a plain-text diagnostic report
+ * @param {string} extensionVersion - Version of this extension
+ * @returns {Promise<string>}
+ */
+async function buildDiagnosticReport(extensionVersion) {
+    const config = vscode.workspace.getConfiguration('rig-manager');
+    const settings = {};
+    for (const key of Object.keys(config)) {
+        if (typeof config[key] !== 'function') {
+            settings[key] = config[key];
+        }
+    }
+
+    const lines = [
+        '## Rig Manager diagnostics',
+        '',
+        `- Extension: ${extensionVersion}`,
+        `- VS Code: ${vscode.version}`,
+        `- Platform: ${process.platform} ${process.arch} (${os.release()})`,
+        `- Workspace trusted: ${vscode.workspace.isTrusted}`,
+        `- rig: ${await captureRig(['--version'])} (${getRigExecutable()})`,
+        '',
+        '### rig list --json',
+        '',
+        '```json',
+        await captureRig(['list', '--json']),
+        '```',
+        '',
+        '### Settings',
+        '',
+        '```json',
+        JSON.stringify(redactSettings(settings), null, 2),
+        '```'
+    ];
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildDiagnosticReport
+};
@@ -0,0 +1,286 @@
+// Disk usage of installed R versions and their package libraries, and which versions
+// recently opened workspaces still need. Backs the Disk Usage view and the cleanup command.
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const requirements = require('./requirements');
+const versionResolver = require('./versionResolver');
+const workspacePin = require('./workspacePin');
+const { runRscript } = require('./rscript');
+
+const RECENT_WORKSPACES_KEY = 'rig-manager.cleanup.recentWorkspaces';
+const MAX_RECENT_WORKSPACES = 30;
+// Workspaces not opened for this long no longer keep a version in use
+const RECENT_WORKSPACE_DAYS = 90;
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB'];
+
+/**
+ * Adds up the size of all files below a directory. Symbolic links are not followed
+ * and unreadable entries are skipped.
+ * @param {string} dir
+ * @returns {Promise<number>} - Size in bytes; 0 if the directory does not exist
+ */
+async function getDirectorySize(dir) {
+    let total = 0;
+    const pending = [dir];
+    while (pending.length > 0) {
+        const current = pending.pop();
+        let entries;
+        try {
+            entries = await fs.promises.readdir(current, { withFileTypes: true });
+        } catch {
+            continue;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(current, entry.name);
+            if (entry.isDirectory()) {
+                pending.push(entryPath);
+            } else if (entry.isFile()) {
+                try {
+                    total += (await fs.promises.lstat(entryPath)).size;
+                } catch {
+                    // Removed while measuring
+                }
+            }
+        }
+    }
+    return total;
+}
+
+/**
+ * Formats a size for display, e.g. "1.2 GB"
+ * @param {number | undefined} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    if (bytes === undefined) {
+        return 'unknown';
+    }
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < SIZE_UNITS.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${SIZE_UNITS[unit]}`;
+}
+
+/**
+ * Remembers the open workspace folders so later cleanups know which versions they need
+ * @param {vscode.Memento} globalState
+ * @param {readonly vscode.WorkspaceFolder[] | undefined} folders
+ * @returns {Thenable<void>}
+ */
+function recordWorkspaceFolders(globalState, folders) {
+    const opened = (folders || [])
+        .filter(folder => folder.uri.scheme === 'file')
+        .map(folder => ({ path: folder.uri.fsPath, time: Date.now() }));
+    const others = globalState.get(RECENT_WORKSPACES_KEY, []).filter(entry => !opened.some(o => o.path === entry.path));
+    return globalState.update(RECENT_WORKSPACES_KEY, [...opened, ...others].slice(0, MAX_RECENT_WORKSPACES));
+}
+
+/**
+ * Lists the folders of workspaces opened within the last RECENT_WORKSPACE_DAYS days
+ * @param {vscode.Memento} globalState
+ * @returns {string[]}
+ */
+function getRecentWorkspaceFolders(globalState) {
+    const cutoff = Date.now() - RECENT_WORKSPACE_DAYS * 24 * 60 * 60 * 1000;
+    return globalState.get(RECENT_WORKSPACES_KEY, [])
+        .filter(entry => entry.time >= cutoff && fs.existsSync(entry.path))
+        .map(entry => entry.path);
+}
+
+/**
+ * Finds the installed versions still in use: the default, and those pinned (by
+ * `.rig-version` or the `rig-manager.workspace.rVersion` setting) or required by a
+ * `renv.lock` in a recently opened workspace folder or its project subfolders. A same-minor
+ * version the requirement falls back to under the `exact` policy counts as required too.
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @param {string[]} folders - Recently opened workspace folders
+ * @param {string} policy - Value of `rig-manager.requirements.matchPolicy`
+ * @param {number} maxDepth - Value of `rig-manager.requirements.searchDepth`
+ * @returns {Promise<Map<string, string[]>>} - Reasons each needed version is kept, keyed by version name
+ */
+async function findNeededVersions(installedVersions, folders, policy, maxDepth) {
+    const needed = new Map();
+    const addReason = (installation, reason) => {
+        if (installation) {
+            needed.set(installation.name, [...(needed.get(installation.name) || []), reason]);
+        }
+    };
+
+    addReason(installedVersions.find(r => r.default), 'default R version');
+    for (const folder of folders) {
+        const name = path.basename(folder);
+        try {
+            // Open folders may also be pinned in workspace settings outside the folder
+            const openFolder = vscode.workspace.workspaceFolders?.find(f => f.uri.fsPath === folder);
+            const pin = openFolder ? workspacePin.getPinnedVersion(openFolder)?.version : workspacePin.readPinnedVersionAt(folder);
+            if (pin) {
+                addReason(workspacePin.findInstalledVersion(pin, installedVersions), `pinned in ${name}`);
+            }
+        } catch {
+            // An unreadable pin does not keep any version in use
+        }
+        // Same search as the requirement check, so lockfiles of projects in subfolders count
+        for (const dir of await requirements.findProjectDirectories(folder, maxDepth)) {
+            const requirement = requirements.detectRequirement(dir, ['renv']);
+            if (requirement) {
+                const { match, compatible } = versionResolver.resolveRequirement(requirement, installedVersions, [], policy);
+                addReason(match || compatible, `renv.lock in ${path.relative(path.dirname(folder), path.dirname(requirement.file))}`);
+            }
+        }
+    }
+    return needed;
+}
+
+/**
+ * Asks an installation's R where its user package library is
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @returns {Promise<string | undefined>}
+ */
+async function getLibraryPath(installation) {
+    try {
+        const { stdout } = await runRscript(installation, 'cat(path.expand(Sys.getenv("R_LIBS_USER")))');
+        return stdout.trim() || undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Measures one installation and its user package library
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @returns {Promise<{installation: Object, size: number, libraryPath: string | undefined, librarySize: number | undefined}>}
+ */
+async function measureInstallation(installation) {
+    const libraryPath = installation.binary ? await getLibraryPath(installation) : undefined;
+    return {
+        installation,
+        size: await getDirectorySize(installation.path),
+        libraryPath,
+        librarySize: libraryPath ? await getDirectorySize(libraryPath) : undefined
+    };
+}
+
+/**
+ * Tree data provider for the Disk Usage view: one item per installed version with its
+ * size, library size and whether a recently opened workspace needs it.
+ * Measurements are kept until refresh(); versions installed since are measured on the next update().
+ */
+class DiskUsageTreeProvider {
+    /**
+     * @param {Object} sources
+     * @param {() => boolean} sources.isAvailable - Whether rig can be used
+     * @param {() => Promise<Array>} sources.listInstalled - Resolves to `rig list --json` output
+     * @param {(installedVersions: Array) => Promise<Map<string, string[]>>} sources.findNeeded - Result of findNeededVersions
+     */
+    constructor(sources) {
+        this.sources = sources;
+        // Measurements keyed by installation path; pending ones are shared by concurrent callers
+        this.measurements = new Map();
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    /**
+     * Measures every version again
+     */
+    refresh() {
+        this.measurements.clear();
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * Redraws the view, measuring only versions not measured yet
+     */
+    update() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    dispose() {
+        this._onDidChangeTreeData.dispose();
+    }
+
+    /**
+     * Measures the installed versions, reusing earlier measurements
+     * @returns {Promise<Array<{installation: Object, size: number, libraryPath?: string, librarySize?: number, neededBy: string[]}>>}
+     */
+    async getUsage() {
+        const installedVersions = await this.sources.listInstalled();
+        const needed = await this.sources.findNeeded(installedVersions);
+        const usage = [];
+        // One at a time: each measurement starts the version's Rscript
+        for (const installation of installedVersions) {
+            let measurement = this.measurements.get(installation.path);
+            if (!measurement) {
+                measurement = measureInstallation(installation);
+                this.measurements.set(installation.path, measurement);
+            }
+            usage.push({ ...await measurement, installation, neededBy: needed.get(installation.name) || [] });
+        }
+        return usage;
+    }
+
+    /**
+     * @param {vscode.TreeItem} element
+     * @returns {vscode.TreeItem}
+     */
+    getTreeItem(element) {
+        return element;
+    }
+
+    /**
+     * @param {vscode.TreeItem} [element]
+     * @returns {Promise<vscode.TreeItem[]>}
+     */
+    async getChildren(element) {
+        if (element || !this.sources.isAvailable()) {
+            return [];
+        }
+        try {
+            const usage = await vscode.window.withProgress(
+                { location: { viewId: 'rig-manager.diskUsage' } },
+                () => this.getUsage()
+            );
+            return usage.map(entry => this.createItem(entry));
+        } catch {
+            // The data source logged the failure; the item tells the user
+            return [new vscode.TreeItem('Could not measure R versions')];
+        }
+    }
+
+    /**
+     * @param {{installation: Object, size: number, libraryPath?: string, librarySize?: number, neededBy: string[]}} entry
+     * @returns {vscode.TreeItem}
+     */
+    createItem(entry) {
+        const r = entry.installation;
+        const item = new vscode.TreeItem(r.name, vscode.TreeItemCollapsibleState.None);
+        const unused = entry.neededBy.length === 0;
+        item.id = `usage.${r.name}`;
+        item.rVersion = r;
+        item.usage = entry;
+        item.description = [formatSize(entry.size), `library ${formatSize(entry.librarySize)}`, unused ? 'unused' : '']
+            .filter(Boolean)
+            .join(' · ');
+        item.tooltip = new vscode.MarkdownString([
+            `**R ${r.version}** (${r.name})`,
+            `Installation: ${formatSize(entry.size)} in \`${r.path}\``,
+            `Package library: ${entry.libraryPath ? `${formatSize(entry.librarySize)} in \`${entry.libraryPath}\`` : 'unknown'}`,
+            unused ? 'Not needed by any recently opened workspace.' : `Needed by: ${entry.neededBy.join(', ')}`
+        ].join('\n\n'));
+        item.iconPath = new vscode.ThemeIcon(unused ? 'trash' : 'pass');
+        item.contextValue = r.default ? 'diskUsage.default' : 'diskUsage';
+        return item;
+    }
+}
+
+module.exports = {
+    formatSize,
+    recordWorkspaceFolders,
+    getRecentWorkspaceFolders,
+    findNeededVersions,
+    DiskUsageTreeProvider
+};
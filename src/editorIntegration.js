@@ -0,0 +1,124 @@
+// Keeps REditorSupport (`r.rterm.*`, `r.rpath.*`, `r.rterm.option`) and Quarto (`QUARTO_R`) pointed at the
+// active R version. Settings are written at workspace scope; the values they had before
+// the first change are kept in workspaceState so they can be restored.
+const vscode = require('vscode');
+const terminalProfiles = require('./terminalProfiles');
+
+const ORIGINALS_KEY = 'rig-manager.integration.originalSettings';
+
+/**
+ * Gets the REditorSupport settings suffix for this platform
+ * @returns {string} - 'windows', 'mac' or 'linux'
+ */
+function getPlatformKey() {
+    switch (process.platform) {
+        case 'win32':
+            return 'windows';
+        case 'darwin':
+            return 'mac';
+        default:
+            return 'linux';
+    }
+}
+
+/**
+ * Reads the `rig-manager.integration.editorSettings` mode
+ * @returns {string} - 'off', 'preview' or 'auto'
+ */
+function getMode() {
+    return vscode.workspace.getConfiguration('rig-manager').get('integration.editorSettings', 'off');
+}
+
+/**
+ * Lists the workspace settings that differ from what an installation needs.
+ * The console program and arguments from `rig-manager.rConsole.*` are passed on too;
+ * `r.rterm.option` is left alone while no arguments are configured and R is the program.
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @returns {Array<{key: string, current: any, value: string | string[]}>} - `key` is relative to the `r` section
+ */
+function computeChanges(installation) {
+    const config = vscode.workspace.getConfiguration('r');
+    const platform = getPlatformKey();
+    const settings = terminalProfiles.getLauncherSettings();
+    const { program, args } = terminalProfiles.getConsoleCommand(installation, settings);
+    const wanted = [[`rterm.${platform}`, program], [`rpath.${platform}`, installation.binary]];
+    if (settings.program === 'radian' || settings.args.length > 0) {
+        wanted.push(['rterm.option', args]);
+    }
+    return wanted
+        .map(([key, value]) => ({ key, current: config.inspect(key)?.workspaceValue, value }))
+        .filter(change => JSON.stringify(change.current) !== JSON.stringify(change.value));
+}
+
+/**
+ * Formats a setting value for the preview
+ * @param {any} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === undefined) {
+        return '(not set)';
+    }
+    return Array.isArray(value) ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Describes a change for the preview, e.g. "r.rterm.mac: (not set) → /usr/local/bin/R"
+ * @param {{key: string, current: any, value: string | string[]}} change
+ * @returns {string}
+ */
+function describeChange(change) {
+    return `r.${change.key}: ${formatValue(change.current)} → ${formatValue(change.value)}`;
+}
+
+/**
+ * Writes changes at workspace scope, remembering the values they replace
+ * @param {Array} changes - Changes from computeChanges
+ * @param {vscode.Memento} workspaceState - Keeps the original values
+ * @returns {Promise<void>}
+ */
+async function applyChanges(changes, workspaceState) {
+    const originals = { ...workspaceState.get(ORIGINALS_KEY, {}) };
+    const config = vscode.workspace.getConfiguration('r');
+    for (const change of changes) {
+        // Only the value from before the first change is kept; null stands for "not set"
+        if (!(change.key in originals)) {
+            originals[change.key] = change.current === undefined ? null : change.current;
+        }
+        await config.update(change.key, change.value, vscode.ConfigurationTarget.Workspace);
+    }
+    await workspaceState.update(ORIGINALS_KEY, originals);
+}
+
+/**
+ * Restores the settings changed by applyChanges
+ * @param {vscode.Memento} workspaceState - Holds the original values
+ * @returns {Promise<number>} - Number of settings restored
+ */
+async function revertChanges(workspaceState) {
+    const originals = workspaceState.get(ORIGINALS_KEY, {});
+    const config = vscode.workspace.getConfiguration('r');
+    for (const [key, value] of Object.entries(originals)) {
+        await config.update(key, value === null ? undefined : value, vscode.ConfigurationTarget.Workspace);
+    }
+    await workspaceState.update(ORIGINALS_KEY, undefined);
+    return Object.keys(originals).length;
+}
+
+/**
+ * Points Quarto at an installation's R in integrated terminals
+ * @param {vscode.EnvironmentVariableCollection} collection - Extension's environment variable collection
+ * @param {Object} installation - Installed version from `rig list --json`
+ */
+function applyQuartoEnvironment(collection, installation) {
+    collection.replace('QUARTO_R', installation.binary);
+}
+
+module.exports = {
+    getMode,
+    computeChanges,
+    describeChange,
+    applyChanges,
+    revertChanges,
+    applyQuartoEnvironment
+};
@@ -0,0 +1,255 @@
+// Privilege elevation for rig commands on macOS and Linux.
+// sudo is first tried without a password (`sudo -n`), which succeeds with NOPASSWD rules
+// or a cached sudo timestamp. Otherwise the password is requested through an askpass
+// helper, so it is never written to the stdin of the elevated process.
+const vscode = require('vscode');
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { RIG_EXECUTABLE, getRigExecutable, runRig } = require('./rigRunner');
+const log = require('./log');
+const { spawnTree, killProcessTree } = require('./processTree');
+
+// Committed as executable (mode 755); sudo runs it directly
+const ASKPASS_SCRIPT = path.join(__dirname, 'askpass', 'askpass.sh');
+const ASKPASS_MAIN = path.join(__dirname, 'askpass', 'askpassMain.js');
+
+/**
+ * Error raised when an elevated rig command fails.
+ * `reason` is one of 'cancelled', 'wrong-password', 'not-authorized', 'rig-missing',
+ * 'helper-missing' or 'failed'.
+ */
+class ElevationError extends Error {
+    /**
+     * @param {string} reason - Failure category
+     * @param {string} message - Message shown to the user
+     * @param {string} [stderr] - Raw stderr of the failed process
+     */
+    constructor(reason, message, stderr = '') {
+        super(message);
+        this.name = 'ElevationError';
+        this.reason = reason;
+        this.stderr = stderr;
+    }
+}
+
+/**
+ * Maps the outcome of an elevated process to an ElevationError
+ * @param {string} method - 'sudo', 'pkexec' or 'askpass'
+ * @param {number | null} code - Exit code
+ * @param {string} stderr - Collected stderr
+ * @param {string} purpose - What the command does, e.g. "install R 4.3.1"
+ * @returns {ElevationError}
+ */
+function classifyFailure(method, code, stderr, purpose) {
+    const text = stderr.toLowerCase();
+
+    if (text.includes('no password was provided') || (method === 'pkexec' && code === 126)) {
+        return new ElevationError('cancelled', `Cancelled: ${purpose}.`, stderr);
+    }
+    if (text.includes('incorrect password') || text.includes('sorry, try again')) {
+        return new ElevationError('wrong-password', `Failed to ${purpose}: incorrect password.`, stderr);
+    }
+    if (text.includes('not in the sudoers') || text.includes('is not allowed to execute')
+        || (method === 'pkexec' && text.includes('not authorized'))) {
+        return new ElevationError('not-authorized', `Failed to ${purpose}: your user is not allowed to run rig with administrator rights.`, stderr);
+    }
+    if (code === 127 || text.includes('command not found') || (text.includes(RIG_EXECUTABLE) && text.includes('not found'))) {
+        return new ElevationError('rig-missing', `Failed to ${purpose}: rig was not found when running as administrator. Install rig in a system directory such as /usr/local/bin.`, stderr);
+    }
+    return new ElevationError('failed', `Failed to ${purpose}. ${stderr.trim() || `Exit code: ${code}`}`, stderr);
+}
+
+/**
+ * Starts a local socket that answers password requests from the askpass helper
+ * with a VS Code password input box
+ * @param {string} purpose - What the command does, shown in the prompt
+ * @returns {Promise<{env: Object, dispose: () => void}>} - Environment for sudo and a cleanup function
+ */
+async function startAskpassServer(purpose) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const handle = path.join(os.tmpdir(), `rig-manager-askpass-${crypto.randomBytes(8).toString('hex')}.sock`);
+    let attempts = 0;
+
+    const server = net.createServer(socket => {
+        let request = '';
+        socket.on('data', async data => {
+            request += data.toString();
+            if (!request.includes('\n')) {
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(request);
+            } catch {
+                socket.end();
+                return;
+            }
+            if (message.nonce !== nonce) {
+                socket.end();
+                return;
+            }
+
+            attempts++;
+            const password = await vscode.window.showInputBox({
+                prompt: attempts > 1
+                    ? `Incorrect password. Administrator password required to ${purpose}`
+                    : `Administrator password required to ${purpose}`,
+                password: true,
+                ignoreFocusOut: true
+            });
+            socket.end(password || '');
+        });
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(handle, resolve);
+    });
+
+    return {
+        env: {
+            SUDO_ASKPASS: ASKPASS_SCRIPT,
+            RIG_MANAGER_ASKPASS_NODE: process.execPath,
+            RIG_MANAGER_ASKPASS_MAIN: ASKPASS_MAIN,
+            RIG_MANAGER_ASKPASS_HANDLE: handle,
+            RIG_MANAGER_ASKPASS_NONCE: nonce
+        },
+        dispose: () => server.close()
+    };
+}
+
+/**
+ * Runs a privileged helper and streams its output
+ * @param {string} method - 'sudo', 'pkexec' or 'askpass', for error classification
+ * @param {string} command - Program to start ('sudo' or 'pkexec')
+ * @param {string[]} args - Program arguments
+ * @param {Object} options
+ * @param {string} options.purpose - What the command does
+ * @param {Object} [options.env] - Extra environment variables
+ * @param {(text: string) => void} [options.onStdout] - Receives stdout as it arrives
+ * @param {(text: string) => void} [options.onStderr] - Receives stderr as it arrives
+ * @param {vscode.CancellationToken} [options.token] - Kills the process when cancelled
+ * @returns {Promise<void>}
+ */
+function runPrivileged(method, command, args, options) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const child = spawnTree(command, args, {
+            env: { ...process.env, ...options.env },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let stdout = '';
+        let stderr = '';
+
+        log.logProcessStart(command, args);
+
+        // sudo passes the signal on to rig, which passes it on to the installer
+        const cancellation = options.token?.onCancellationRequested(() => {
+            killProcessTree(child);
+            reject(new ElevationError('cancelled', `Cancelled: ${options.purpose}.`));
+        });
+
+        child.stdout.on('data', data => {
+            stdout += data.toString();
+            options.onStdout?.(data.toString());
+        });
+        child.stderr.on('data', data => {
+            stderr += data.toString();
+            options.onStderr?.(data.toString());
+        });
+        child.on('close', code => {
+            cancellation?.dispose();
+            log.logProcess(command, args, { code, durationMs: Date.now() - started, stdout, stderr });
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(classifyFailure(method, code, stderr, options.purpose));
+            }
+        });
+        child.on('error', err => {
+            cancellation?.dispose();
+            log.logProcess(command, args, { code: err.code, durationMs: Date.now() - started, stdout, stderr: err.message });
+            reject(err.code === 'ENOENT'
+                ? new ElevationError('helper-missing', `Failed to ${options.purpose}: ${command} is not available on this system.`)
+                : err);
+        });
+    });
+}
+
+/**
+ * Runs rig with administrator rights using the method chosen in `rig-manager.elevation.method`
+ * @param {string[]} args - Arguments passed to rig
+ * @param {Object} options
+ * @param {string} options.purpose - What the command does, e.g. "install R 4.3.1"
+ * @param {boolean} [options.tryUnelevated] - Try plain rig first (e.g. `rig default` on macOS)
+ * @param {(text: string) => void} [options.onStdout] - Receives stdout as it arrives
+ * @param {(text: string) => void} [options.onStderr] - Receives stderr as it arrives
+ * @param {vscode.CancellationToken} [options.token] - Kills the process when cancelled
+ * @returns {Promise<void>}
+ * @throws {ElevationError}
+ */
+async function runElevatedRig(args, options) {
+    if (options.tryUnelevated) {
+        try {
+            await runRig(args, { token: options.token });
+            return;
+        } catch (error) {
+            if (options.token?.isCancellationRequested) {
+                throw new ElevationError('cancelled', `Cancelled: ${options.purpose}.`, error.message);
+            }
+            // Fall back to elevation
+        }
+    }
+
+    const config = vscode.workspace.getConfiguration('rig-manager');
+    const method = config.get('elevation.method', 'sudo');
+    const rig = getRigExecutable();
+
+    if (method === 'pkexec') {
+        return runPrivileged('pkexec', 'pkexec', [rig, ...args], options);
+    }
+
+    // No password needed with NOPASSWD rules or a cached sudo timestamp
+    try {
+        return await runPrivileged('sudo', 'sudo', ['-n', rig, ...args], options);
+    } catch (error) {
+        if (!(error instanceof ElevationError) || !/password is required/i.test(error.stderr)) {
+            throw error;
+        }
+    }
+
+    if (method === 'askpass') {
+        const askpass = config.get('elevation.askpassPath') || process.env.SUDO_ASKPASS;
+        if (!askpass) {
+            throw new ElevationError('helper-missing', `Failed to ${options.purpose}: set rig-manager.elevation.askpassPath to an askpass program.`);
+        }
+        return runPrivileged('askpass', 'sudo', ['-A', rig, ...args], { ...options, env: { SUDO_ASKPASS: askpass } });
+    }
+
+    const server = await startAskpassServer(options.purpose);
+    try {
+        return await runPrivileged('sudo', 'sudo', ['-A', rig, ...args], { ...options, env: server.env });
+    } finally {
+        server.dispose();
+    }
+}
+
+/**
+ * Shows an elevation failure to the user; cancellations are shown as warnings
+ * @param {Error} error - Error thrown by runElevatedRig
+ */
+function showElevationError(error) {
+    if (error instanceof ElevationError && error.reason === 'cancelled') {
+        vscode.window.showWarningMessage(error.message);
+    } else {
+        log.showError(error.message);
+    }
+}
+
+module.exports = {
+    ElevationError,
+    runElevatedRig,
+    showElevationError
+};
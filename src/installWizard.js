@@ -0,0 +1,170 @@
+// Multi-step install flow: what to install, for which architecture, with which
+// rig options, and what to do once R is installed.
+const vscode = require('vscode');
+const { resolveAlias } = require('./versionResolver');
+
+const CHANNELS = [
+    { alias: 'release', label: 'release', detail: 'Latest R release' },
+    { alias: 'oldrel/1', label: 'oldrel', detail: 'Latest patch of the previous minor release' },
+    { alias: 'devel', label: 'devel', detail: 'Development version of R' },
+    { alias: 'next', label: 'next', detail: 'Next R release (alpha, beta or release candidate)' }
+];
+
+// `rig add` options offered as toggles
+const RIG_ADD_OPTIONS = [
+    { flag: '--without-pak', label: 'Skip pak', detail: 'Do not install the pak package manager' },
+    { flag: '--without-cran-mirror', label: 'Skip CRAN mirror setup', detail: 'Do not set a default CRAN mirror' },
+    { flag: '--without-p3m', label: 'Skip Posit Public Package Manager', detail: 'Do not configure P3M binary package repositories' }
+];
+
+/**
+ * Step 1: a channel alias or an exact version
+ * @param {Array} availableVersions - Output of `rig available --json`
+ * @returns {Promise<string | undefined>} - Alias or version name to pass to `rig add`
+ */
+async function pickTarget(availableVersions) {
+    const items = [
+        ...CHANNELS.map(c => {
+            const version = resolveAlias(c.alias, [], availableVersions);
+            return {
+                label: c.label,
+                description: version ? `R ${version}` : '',
+                detail: c.detail,
+                target: c.alias
+            };
+        }),
+        { label: '', kind: vscode.QuickPickItemKind.Separator },
+        { label: '$(list-flat) Choose an exact version...', target: undefined }
+    ];
+    const channel = await vscode.window.showQuickPick(items, {
+        title: 'Install R: version',
+        placeHolder: 'Select a release channel or an exact version'
+    });
+    if (!channel) {
+        return undefined;
+    }
+    if (channel.target) {
+        return channel.target;
+    }
+
+    const exact = await vscode.window.showQuickPick(availableVersions.map(r => ({
+        label: r.name,
+        description: `(${r.type})`,
+        detail: `Released on: ${new Date(r.date).toLocaleDateString()}`
+    })), {
+        title: 'Install R: exact version',
+        placeHolder: 'Select an R version to install',
+        matchOnDetail: true
+    });
+    return exact?.label;
+}
+
+/**
+ * Step 2 (macOS only): processor architecture
+ * @returns {Promise<string | null | undefined>} - 'arm64' or 'x86_64', null when not applicable, undefined if cancelled
+ */
+async function pickArchitecture() {
+    if (process.platform !== 'darwin') {
+        return null;
+    }
+    const native = process.arch === 'arm64' ? 'arm64' : 'x86_64';
+    const items = [
+        { label: 'arm64', detail: 'Apple silicon' },
+        { label: 'x86_64', detail: 'Intel, or Rosetta 2 on Apple silicon' }
+    ].map(item => ({ ...item, description: item.label === native ? '(this Mac)' : '' }))
+        .sort((a, b) => (b.label === native) - (a.label === native));
+    const selected = await vscode.window.showQuickPick(items, {
+        title: 'Install R: architecture',
+        placeHolder: 'Select the architecture to install'
+    });
+    return selected?.label;
+}
+
+/**
+ * Step 3: rig options
+ * @returns {Promise<string[] | undefined>} - Selected flags
+ */
+async function pickRigOptions() {
+    const selected = await vscode.window.showQuickPick(RIG_ADD_OPTIONS.map(o => ({
+        label: o.label,
+        description: o.flag,
+        detail: o.detail,
+        flag: o.flag
+    })), {
+        title: 'Install R: options',
+        placeHolder: 'Select rig options (none selected installs with rig defaults)',
+        canPickMany: true
+    });
+    return selected?.map(item => item.flag);
+}
+
+/**
+ * Step 4: what to do after installing
+ * @param {boolean} canRestoreRenv - Whether the active project has an renv.lock
+ * @returns {Promise<{setDefault: boolean, restoreRenv: boolean} | undefined>}
+ */
+async function pickPostInstallSteps(canRestoreRenv) {
+    const items = [{ label: 'Set as default R version', step: 'setDefault', picked: true }];
+    if (canRestoreRenv) {
+        items.push({ label: 'Run renv::restore() for the current project', step: 'restoreRenv', picked: false });
+    }
+    const selected = await vscode.window.showQuickPick(items, {
+        title: 'Install R: after installing',
+        placeHolder: 'Select what to do once R is installed',
+        canPickMany: true
+    });
+    if (!selected) {
+        return undefined;
+    }
+    return {
+        setDefault: selected.some(item => item.step === 'setDefault'),
+        restoreRenv: selected.some(item => item.step === 'restoreRenv')
+    };
+}
+
+/**
+ * Walks the user through the install steps
+ * @param {Array} availableVersions - Output of `rig available --json`
+ * @param {Object} options
+ * @param {boolean} options.canRestoreRenv - Whether to offer running renv::restore()
+ * @returns {Promise<{target: string, arch: string | null, flags: string[], setDefault: boolean, restoreRenv: boolean} | undefined>}
+ *   Undefined if the user cancelled any step
+ */
+async function runInstallWizard(availableVersions, options) {
+    const target = await pickTarget(availableVersions);
+    if (!target) {
+        return undefined;
+    }
+    const arch = await pickArchitecture();
+    if (arch === undefined) {
+        return undefined;
+    }
+    const flags = await pickRigOptions();
+    if (!flags) {
+        return undefined;
+    }
+    const steps = await pickPostInstallSteps(options.canRestoreRenv);
+    if (!steps) {
+        return undefined;
+    }
+    return { target, arch, flags, ...steps };
+}
+
+/**
+ * Builds the `rig add` arguments for a wizard result
+ * @param {{target: string, arch: string | null, flags: string[]}} choice
+ * @returns {string[]}
+ */
+function buildAddArgs(choice) {
+    const args = ['add'];
+    if (choice.arch) {
+        args.push('--arch', choice.arch);
+    }
+    args.push(...choice.flags.filter(flag => RIG_ADD_OPTIONS.some(o => o.flag === flag)), choice.target);
+    return args;
+}
+
+module.exports = {
+    runInstallWizard,
+    buildAddArgs
+};
@@ -0,0 +1,87 @@
+// rig user package libraries (`rig library list/add/rm/default`).
+// rig manages the libraries of the default R version; a workspace can select one of
+// them through `rig-manager.library.name`, which sets R_LIBS_USER in its terminals.
+// Folders pinned to another R version keep that version's own user library.
+const vscode = require('vscode');
+const { runRig, parseRigJson, isSafeVersionName } = require('./rigRunner');
+
+/**
+ * Lists the package libraries of the default R version
+ * @returns {Promise<Array<{name: string, path: string, default: boolean}>>}
+ */
+async function listLibraries() {
+    const { stdout } = await runRig(['library', 'list', '--json']);
+    return parseRigJson(stdout).map(lib => ({
+        name: lib.name,
+        path: lib.path,
+        default: lib.default === true
+    }));
+}
+
+/**
+ * Checks that a library name is safe to pass to rig
+ * @param {string} name - Library name
+ * @returns {boolean}
+ */
+function isValidLibraryName(name) {
+    return isSafeVersionName(name) && !name.includes('/');
+}
+
+/**
+ * Creates a package library for the default R version
+ * @param {string} name - Library name
+ * @returns {Promise<void>}
+ */
+async function addLibrary(name) {
+    await runRig(['library', 'add', name]);
+}
+
+/**
+ * Deletes a package library of the default R version, including its packages
+ * @param {string} name - Library name
+ * @returns {Promise<void>}
+ */
+async function removeLibrary(name) {
+    await runRig(['library', 'rm', name]);
+}
+
+/**
+ * Makes a package library the default for the default R version
+ * @param {string} name - Library name
+ * @returns {Promise<void>}
+ */
+async function setDefaultLibrary(name) {
+    await runRig(['library', 'default', name]);
+}
+
+/**
+ * Gets the library a workspace folder selects through `rig-manager.library.name`
+ * @param {vscode.WorkspaceFolder | undefined} folder - Workspace folder to inspect
+ * @returns {string | undefined}
+ */
+function getWorkspaceLibrary(folder) {
+    if (!folder) {
+        return undefined;
+    }
+    const name = vscode.workspace.getConfiguration('rig-manager', folder.uri).get('library.name');
+    return name && name.trim() ? name.trim() : undefined;
+}
+
+/**
+ * Points R_LIBS_USER in integrated terminals at a package library
+ * @param {vscode.EnvironmentVariableCollection} collection - Extension's environment variable collection
+ * @param {{name: string, path: string}} library - Library from listLibraries
+ */
+function applyLibraryEnvironment(collection, library) {
+    collection.replace('R_LIBS_USER', library.path);
+}
+
+module.exports = {
+    listLibraries,
+    isValidLibraryName,
+    addLibrary,
+    removeLibrary,
+    setDefaultLibrary,
+    getWorkspaceLibrary,
+    applyLibraryEnvironment
+};
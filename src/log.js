@@ -0,0 +1,119 @@
+// The "Rig Manager" output channel and helpers for structured operation logs
+const vscode = require('vscode');
+
+let channel;
+
+/**
+ * Returns the extension's log channel, creating it on first use
+ * @returns {vscode.LogOutputChannel}
+ */
+function getChannel() {
+    if (!channel) {
+        channel = vscode.window.createOutputChannel('Rig Manager', { log: true });
+    }
+    return channel;
+}
+
+/**
+ * @param {string} message
+ * @param {...any} args
+ */
+function info(message, ...args) {
+    getChannel().info(message, ...args);
+}
+
+/**
+ * @param {string} message
+ * @param {...any} args
+ */
+function warn(message, ...args) {
+    getChannel().warn(message, ...args);
+}
+
+/**
+ * @param {string | Error} message
+ * @param {...any} args
+ */
+function error(message, ...args) {
+    getChannel().error(message, ...args);
+}
+
+/**
+ * Reveals the log channel
+ */
+function show() {
+    getChannel().show(true);
+}
+
+/**
+ * Indents a block of process output for the log
+ * @param {string} label - 'stdout' or 'stderr'
+ * @param {string} text - Captured output
+ * @returns {string}
+ */
+function formatOutput(label, text) {
+    const trimmed = (text || '').trimEnd();
+    return trimmed ? `\n  ${label}:\n    ${trimmed.split(/\r?\n/).join('\n    ')}` : '';
+}
+
+/**
+ * Records a finished process invocation with its arguments, exit code, duration and output
+ * @param {string} command - Program that was run, e.g. 'rig' or 'sudo'
+ * @param {string[]} args - Program arguments
+ * @param {Object} result
+ * @param {number | string | null} result.code - Exit code, or an error code if the process could not start
+ * @param {number} result.durationMs - Time from start to exit
+ * @param {string} [result.stdout] - Captured stdout
+ * @param {string} [result.stderr] - Captured stderr
+ */
+function logProcess(command, args, result) {
+    const message = `${[command, ...args].join(' ')} (exit ${result.code}, ${result.durationMs} ms)`
+        + formatOutput('stdout', result.stdout)
+        + formatOutput('stderr', result.stderr);
+    if (result.code === 0) {
+        info(message);
+    } else {
+        error(message);
+    }
+}
+
+/**
+ * Records the start of a long-running process
+ * @param {string} command - Program being run
+ * @param {string[]} args - Program arguments
+ */
+function logProcessStart(command, args) {
+    info(`Started: ${[command, ...args].join(' ')}`);
+}
+
+/**
+ * Logs an error and shows it with a "Show Log" action
+ * @param {string} message - Message shown to the user
+ * @returns {Promise<void>}
+ */
+async function showError(message) {
+    error(message);
+    const choice = await vscode.window.showErrorMessage(message, 'Show Log');
+    if (choice === 'Show Log') {
+        show();
+    }
+}
+
+/**
+ * Disposes the log channel
+ */
+function dispose() {
+    channel?.dispose();
+    channel = undefined;
+}
+
+module.exports = {
+    info,
+    warn,
+    error,
+    show,
+    logProcess,
+    logProcessStart,
+    showError,
+    dispose
+};
@@ -0,0 +1,111 @@
+// Team R toolchain manifest: a JSON file, usually checked into a repository, listing the
+// R versions everyone should have installed and which one is the default.
+const fs = require('fs');
+
+const MANIFEST_FILE_NAME = 'rig-manifest.json';
+const MANIFEST_FORMAT_VERSION = 1;
+const ARCHITECTURES = ['arm64', 'x86_64'];
+const ARCH_SUFFIX_PATTERN = /-(arm64|x86_64)$/;
+
+/**
+ * Gets the architecture rig encodes in macOS version names, e.g. "4.4-arm64"
+ * @param {string} name - Version name from `rig list --json`
+ * @returns {string | undefined}
+ */
+function getArch(name) {
+    return name.match(ARCH_SUFFIX_PATTERN)?.[1];
+}
+
+/**
+ * Builds a manifest from the installed versions
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @returns {{manifestVersion: number, versions: Array<{name: string, version: string, arch?: string, default?: boolean}>}}
+ */
+function buildManifest(installedVersions) {
+    return {
+        manifestVersion: MANIFEST_FORMAT_VERSION,
+        versions: installedVersions.map(r => ({
+            name: r.name,
+            version: r.version,
+            ...(getArch(r.name) && { arch: getArch(r.name) }),
+            ...(r.default && { default: true })
+        }))
+    };
+}
+
+/**
+ * Reads and validates a manifest file
+ * @param {string} filePath
+ * @returns {{manifestVersion: number, versions: Array}}
+ * @throws {Error} If the file cannot be read or is not a valid manifest
+ */
+function readManifest(filePath) {
+    const manifest = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (manifest?.manifestVersion !== MANIFEST_FORMAT_VERSION) {
+        throw new Error(`Unsupported manifest format (expected "manifestVersion": ${MANIFEST_FORMAT_VERSION}).`);
+    }
+    if (!Array.isArray(manifest.versions)) {
+        throw new Error('The manifest has no "versions" list.');
+    }
+    for (const entry of manifest.versions) {
+        if (typeof entry?.version !== 'string' || !entry.version) {
+            throw new Error('Every manifest entry needs a "version".');
+        }
+        if (entry.arch !== undefined && !ARCHITECTURES.includes(entry.arch)) {
+            throw new Error(`Unknown architecture "${entry.arch}" for R ${entry.version}.`);
+        }
+    }
+    if (manifest.versions.filter(entry => entry.default).length > 1) {
+        throw new Error('The manifest marks more than one version as default.');
+    }
+    return manifest;
+}
+
+/**
+ * Tells whether an installed version is the one a manifest entry describes.
+ * Architectures only apply on macOS, where rig installs both side by side.
+ * @param {Object} installed - Installed version from `rig list --json`
+ * @param {{version: string, arch?: string}} entry - Manifest entry
+ * @returns {boolean}
+ */
+function matchesEntry(installed, entry) {
+    if (installed.version !== entry.version) {
+        return false;
+    }
+    return process.platform !== 'darwin' || !entry.arch || getArch(installed.name) === entry.arch;
+}
+
+/**
+ * Compares the installed versions with a manifest
+ * @param {{versions: Array}} manifest - Manifest from readManifest
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @returns {{missing: Array, extra: Array, defaultEntry: Object | undefined, defaultMatches: boolean}}
+ *   `missing` are manifest entries not installed, `extra` installed versions not in the manifest,
+ *   and `defaultMatches` tells whether the current default is the manifest's default (true when it has none)
+ */
+function compareWithManifest(manifest, installedVersions) {
+    const missing = manifest.versions.filter(entry => !installedVersions.some(r => matchesEntry(r, entry)));
+    const extra = installedVersions.filter(r => !manifest.versions.some(entry => matchesEntry(r, entry)));
+    const defaultEntry = manifest.versions.find(entry => entry.default);
+    const currentDefault = installedVersions.find(r => r.default);
+    const defaultMatches = !defaultEntry || Boolean(currentDefault && matchesEntry(currentDefault, defaultEntry));
+    return { missing, extra, defaultEntry, defaultMatches };
+}
+
+/**
+ * Describes a manifest entry, e.g. "R 4.4.1 (arm64)"
+ * @param {{version: string, arch?: string}} entry
+ * @returns {string}
+ */
+function describeEntry(entry) {
+    return entry.arch ? `R ${entry.version} (${entry.arch})` : `R ${entry.version}`;
+}
+
+module.exports = {
+    MANIFEST_FILE_NAME,
+    buildManifest,
+    readManifest,
+    matchesEntry,
+    compareWithManifest,
+    describeEntry
+};
@@ -0,0 +1,328 @@
+// Runs an R script, testthat tests or R CMD check with several installed R versions,
+// one after another or in parallel, and collects a pass/fail result per version.
+const vscode = require('vscode');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const log = require('./log');
+const { getRscriptPath } = require('./rscript');
+const { spawnTree, killProcessTree } = require('./processTree');
+
+const MATRIX_TASK_TYPE = 'rig-matrix';
+
+const KIND_LABELS = {
+    script: 'R script',
+    testthat: 'testthat tests',
+    check: 'R CMD check'
+};
+
+/**
+ * Checks that a matrix job can run: its kind is known and a script job names an existing file
+ * @param {{kind: string, file?: string}} spec
+ * @returns {string | undefined} - Why the job cannot run, or undefined if it can
+ */
+function validateSpec(spec) {
+    if (!KIND_LABELS[spec.kind]) {
+        return `Unknown matrix job: ${spec.kind}`;
+    }
+    if (spec.kind === 'script' && !spec.file) {
+        return 'A "script" matrix task needs a "file".';
+    }
+    if (spec.kind === 'script' && !fs.existsSync(spec.file)) {
+        return `R script not found: ${spec.file}`;
+    }
+    return undefined;
+}
+
+/**
+ * Builds the command that runs a matrix job with one installation
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @param {{kind: string, file?: string, cwd: string}} spec - What to run and where
+ * @returns {{command: string, args: string[], tempDir?: string}} - `tempDir` is removed once the run ends
+ */
+function buildCommand(installation, spec) {
+    switch (spec.kind) {
+        case 'script':
+            return { command: getRscriptPath(installation), args: [spec.file] };
+        case 'testthat':
+            return { command: getRscriptPath(installation), args: ['-e', 'testthat::test_local()'] };
+        case 'check': {
+            // Each version checks into its own directory so parallel runs do not collide
+            const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `rig-check-${installation.name.replace(/[^\w.-]/g, '_')}-`));
+            return { command: installation.binary, args: ['CMD', 'check', '--no-manual', `--output=${tempDir}`, spec.cwd], tempDir };
+        }
+        default:
+            throw new Error(`Unknown matrix job: ${spec.kind}`);
+    }
+}
+
+/**
+ * Runs a matrix job with one installation
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @param {{kind: string, file?: string, cwd: string}} spec
+ * @param {Object} options
+ * @param {vscode.CancellationToken} [options.token] - Stops the run when cancelled
+ * @param {(text: string) => void} [options.onOutput] - Receives stdout and stderr as they arrive
+ * @returns {Promise<{installation: Object, passed: boolean, code: number | string | null, durationMs: number, output: string}>}
+ */
+function runOne(installation, spec, options = {}) {
+    const started = Date.now();
+
+    return new Promise(resolve => {
+        let output = '';
+        const onData = data => {
+            output += data.toString();
+            options.onOutput?.(data.toString());
+        };
+
+        let command;
+        let args;
+        let tempDir;
+        let child;
+        try {
+            ({ command, args, tempDir } = buildCommand(installation, spec));
+            child = spawnTree(command, args, { cwd: spec.cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+        } catch (error) {
+            onData(`${error.message}\n`);
+            resolve({ installation, passed: false, code: error.code || 'error', durationMs: Date.now() - started, output });
+            return;
+        }
+
+        log.logProcessStart(command, args);
+        // R CMD check and testthat start R processes of their own
+        const cancellation = options.token?.onCancellationRequested(() => killProcessTree(child));
+        child.stdout.on('data', onData);
+        child.stderr.on('data', onData);
+
+        let finished = false;
+        const finish = code => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            cancellation?.dispose();
+            if (tempDir) {
+                try {
+                    fs.rmSync(tempDir, { recursive: true, force: true });
+                } catch (error) {
+                    log.warn(`Could not remove ${tempDir}: ${error.message}`);
+                }
+            }
+            const durationMs = Date.now() - started;
+            log.logProcess(command, args, { code, durationMs });
+            resolve({ installation, passed: code === 0, code, durationMs, output });
+        };
+        child.on('close', finish);
+        child.on('error', err => {
+            onData(`${err.message}\n`);
+            finish(err.code);
+        });
+    });
+}
+
+/**
+ * Runs a matrix job with each installation
+ * @param {Array} installations - Installed versions to run with
+ * @param {{kind: string, file?: string, cwd: string}} spec
+ * @param {Object} options
+ * @param {boolean} [options.parallel] - Start all versions at once instead of one after another
+ * @param {vscode.CancellationToken} [options.token]
+ * @param {(installation: Object, text: string) => void} [options.onOutput]
+ * @param {(result: Object) => void} [options.onResult] - Called as each version finishes
+ * @returns {Promise<Array>} - Results in the order of `installations`
+ */
+async function runMatrix(installations, spec, options = {}) {
+    const runWith = async installation => {
+        const result = await runOne(installation, spec, {
+            token: options.token,
+            onOutput: text => options.onOutput?.(installation, text)
+        });
+        options.onResult?.(result);
+        return result;
+    };
+
+    if (options.parallel) {
+        return Promise.all(installations.map(runWith));
+    }
+    const results = [];
+    for (const installation of installations) {
+        if (options.token?.isCancellationRequested) {
+            break;
+        }
+        results.push(await runWith(installation));
+    }
+    return results;
+}
+
+/**
+ * Describes a matrix job for titles and messages
+ * @param {{kind: string, file?: string}} spec
+ * @returns {string}
+ */
+function describeJob(spec) {
+    return spec.kind === 'script' && spec.file ? path.basename(spec.file) : KIND_LABELS[spec.kind] || spec.kind;
+}
+
+/**
+ * Formats one line of the summary, e.g. "✔ R 4.4.1 passed (12.3 s)"
+ * @param {Object} result - Result from runOne
+ * @returns {string}
+ */
+function formatResult(result) {
+    const seconds = (result.durationMs / 1000).toFixed(1);
+    return result.passed
+        ? `✔ R ${result.installation.version} passed (${seconds} s)`
+        : `✘ R ${result.installation.version} failed with exit code ${result.code} (${seconds} s)`;
+}
+
+/**
+ * Selects installations by the names or versions listed in a task definition
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @param {string[] | undefined} names - Names, versions or aliases; all installed versions when empty
+ * @returns {Array}
+ */
+function selectInstallations(installedVersions, names) {
+    const usable = installedVersions.filter(r => r.binary);
+    if (!names || names.length === 0) {
+        return usable;
+    }
+    return usable.filter(r => names.some(n => n === r.name || n === r.version
+        || (Array.isArray(r.aliases) && r.aliases.includes(n))));
+}
+
+/**
+ * Provides `rig-matrix` tasks: testthat and R CMD check across all installed versions
+ * for each workspace folder, and any `rig-matrix` task defined in tasks.json
+ */
+class MatrixTaskProvider {
+    /**
+     * @param {() => Promise<Array>} listInstalled - Resolves to `rig list --json` output
+     */
+    constructor(listInstalled) {
+        this.listInstalled = listInstalled;
+    }
+
+    /**
+     * @returns {vscode.Task[]}
+     */
+    provideTasks() {
+        const tasks = [];
+        for (const folder of vscode.workspace.workspaceFolders || []) {
+            for (const kind of ['testthat', 'check']) {
+                tasks.push(this.createTask({ type: MATRIX_TASK_TYPE, kind }, folder));
+            }
+        }
+        return tasks;
+    }
+
+    /**
+     * @param {vscode.Task} task
+     * @returns {vscode.Task | undefined}
+     */
+    resolveTask(task) {
+        if (!task.definition.kind) {
+            return undefined;
+        }
+        const folder = typeof task.scope === 'object' ? task.scope : vscode.workspace.workspaceFolders?.[0];
+        return folder ? this.createTask(task.definition, folder) : undefined;
+    }
+
+    /**
+     * @param {{kind: string, versions?: string[], file?: string, parallel?: boolean}} definition
+     * @param {vscode.WorkspaceFolder} folder
+     * @returns {vscode.Task}
+     */
+    createTask(definition, folder) {
+        const spec = {
+            kind: definition.kind,
+            file: definition.file && path.resolve(folder.uri.fsPath, definition.file),
+            cwd: folder.uri.fsPath
+        };
+        const problem = validateSpec(spec);
+        if (problem) {
+            log.warn(`rig-matrix task in ${folder.name}: ${problem}`);
+        }
+        const name = `${KIND_LABELS[definition.kind] || definition.kind} across R versions`;
+        const task = new vscode.Task(definition, folder, name, 'rig', new vscode.CustomExecution(async () =>
+            new MatrixTerminal(spec, definition, this.listInstalled, problem)
+        ));
+        task.group = definition.kind === 'script' ? undefined : vscode.TaskGroup.Test;
+        return task;
+    }
+}
+
+/**
+ * Pseudoterminal that runs a matrix task and prints each version's output and a summary
+ */
+class MatrixTerminal {
+    /**
+     * @param {{kind: string, file?: string, cwd: string}} spec
+     * @param {{versions?: string[], parallel?: boolean}} definition
+     * @param {() => Promise<Array>} listInstalled
+     * @param {string} [problem] - Why the task cannot run, from validateSpec
+     */
+    constructor(spec, definition, listInstalled, problem) {
+        this.spec = spec;
+        this.problem = problem;
+        this.definition = definition;
+        this.listInstalled = listInstalled;
+        this.writeEmitter = new vscode.EventEmitter();
+        this.closeEmitter = new vscode.EventEmitter();
+        this.onDidWrite = this.writeEmitter.event;
+        this.onDidClose = this.closeEmitter.event;
+        this.cancellation = new vscode.CancellationTokenSource();
+    }
+
+    /**
+     * @param {string} text
+     */
+    write(text) {
+        this.writeEmitter.fire(text.replace(/\r?\n/g, '\r\n'));
+    }
+
+    async open() {
+        // The task terminal only closes through closeEmitter, so every failure must end here
+        try {
+            if (this.problem) {
+                throw new Error(this.problem);
+            }
+            const installations = selectInstallations(await this.listInstalled(), this.definition.versions);
+            if (installations.length === 0) {
+                this.write('No matching installed R versions.\n');
+                this.closeEmitter.fire(1);
+                return;
+            }
+
+            const results = await runMatrix(installations, this.spec, {
+                parallel: this.definition.parallel,
+                token: this.cancellation.token,
+                onOutput: (installation, text) => {
+                    // Prefix lines so interleaved parallel output stays readable
+                    const prefix = `[R ${installation.version}] `;
+                    this.write(text.split(/\r?\n/).map(line => (line ? prefix + line : line)).join('\n'));
+                }
+            });
+
+            this.write(`\n${describeJob(this.spec)} summary:\n${results.map(formatResult).join('\n')}\n`);
+            this.closeEmitter.fire(results.every(r => r.passed) ? 0 : 1);
+        } catch (error) {
+            this.write(`${error.message}\n`);
+            this.closeEmitter.fire(1);
+        }
+    }
+
+    close() {
+        this.cancellation.cancel();
+        this.cancellation.dispose();
+    }
+}
+
+module.exports = {
+    MATRIX_TASK_TYPE,
+    KIND_LABELS,
+    validateSpec,
+    runMatrix,
+    describeJob,
+    formatResult,
+    MatrixTaskProvider
+};
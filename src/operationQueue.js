@@ -0,0 +1,262 @@
+// Serialized queue for rig operations that change installations: install, uninstall and switch.
+// Jobs run one at a time so two `rig add` processes never run against each other.
+// Finished jobs stay listed in the Background Jobs view to be retried or inspected.
+const vscode = require('vscode');
+const log = require('./log');
+
+// Finished jobs kept in the view; older ones are dropped
+const MAX_FINISHED_JOBS = 20;
+
+const STATE_ICONS = {
+    queued: 'clock',
+    running: 'sync~spin',
+    succeeded: 'pass',
+    failed: 'error',
+    cancelled: 'circle-slash'
+};
+
+let nextJobId = 1;
+
+/**
+ * One queued operation
+ */
+class Job {
+    /**
+     * @param {{label: string, kind: string, run: (job: Job) => Promise<void>}} spec
+     *   `run` does the work; it should stop when `job.token` is cancelled
+     */
+    constructor(spec) {
+        this.id = nextJobId++;
+        this.spec = spec;
+        this.label = spec.label;
+        this.kind = spec.kind;
+        /** @type {'queued' | 'running' | 'succeeded' | 'failed' | 'cancelled'} */
+        this.state = 'queued';
+        this.output = '';
+        this.message = undefined;
+        this.error = undefined;
+        this.started = undefined;
+        this.finished = undefined;
+        this.cancellation = new vscode.CancellationTokenSource();
+        this.token = this.cancellation.token;
+        this.onDidUpdate = undefined;
+        this.done = new Promise((resolve, reject) => {
+            this.resolve = resolve;
+            this.reject = reject;
+        });
+        // Callers that do not await `done` should not cause unhandled rejections
+        this.done.catch(() => {});
+    }
+
+    /**
+     * Sets the one-line progress message shown in the status bar and view
+     * @param {string} message
+     */
+    report(message) {
+        this.message = message;
+        this.onDidUpdate?.();
+    }
+
+    /**
+     * Adds process output shown by "Show Output"
+     * @param {string} text
+     */
+    appendOutput(text) {
+        this.output += text;
+    }
+}
+
+/**
+ * Runs submitted jobs one after another
+ */
+class OperationQueue {
+    constructor() {
+        /** @type {Job[]} */
+        this.jobs = [];
+        this.running = undefined;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    /**
+     * Adds a job to the end of the queue
+     * @param {{label: string, kind: string, run: (job: Job) => Promise<void>}} spec
+     * @returns {Job} - Await `job.done` for the result
+     */
+    submit(spec) {
+        const job = new Job(spec);
+        job.onDidUpdate = () => this._onDidChange.fire();
+        this.jobs.push(job);
+        log.info(`Queued: ${job.label}`);
+        this._onDidChange.fire();
+        this.runNext();
+        return job;
+    }
+
+    /**
+     * Starts the oldest queued job if nothing is running
+     */
+    async runNext() {
+        const job = this.jobs.find(j => j.state === 'queued');
+        if (this.running || !job) {
+            return;
+        }
+        this.running = job;
+        job.state = 'running';
+        job.started = Date.now();
+        this._onDidChange.fire();
+
+        try {
+            await job.spec.run(job);
+            job.state = 'succeeded';
+            job.resolve();
+        } catch (error) {
+            job.state = job.token.isCancellationRequested ? 'cancelled' : 'failed';
+            job.error = error;
+            job.appendOutput(`\n${error.message}\n`);
+            job.reject(error);
+        } finally {
+            job.finished = Date.now();
+            job.message = undefined;
+            job.cancellation.dispose();
+            this.running = undefined;
+            this.pruneFinished();
+            this._onDidChange.fire();
+            this.runNext();
+        }
+    }
+
+    /**
+     * Cancels a queued job, or stops a running one
+     * @param {Job} job
+     */
+    cancel(job) {
+        if (job.state === 'queued') {
+            job.state = 'cancelled';
+            job.finished = Date.now();
+            job.cancellation.dispose();
+            job.reject(new Error(`Cancelled: ${job.label}`));
+            this._onDidChange.fire();
+        } else if (job.state === 'running') {
+            job.cancellation.cancel();
+        }
+    }
+
+    /**
+     * Queues a failed or cancelled job again, replacing it in the list
+     * @param {Job} job
+     * @returns {Job} - The new job
+     */
+    retry(job) {
+        this.jobs = this.jobs.filter(j => j !== job);
+        return this.submit(job.spec);
+    }
+
+    /**
+     * Removes finished jobs from the list
+     */
+    clearFinished() {
+        this.jobs = this.jobs.filter(j => j.state === 'queued' || j.state === 'running');
+        this._onDidChange.fire();
+    }
+
+    /**
+     * Drops the oldest finished jobs beyond MAX_FINISHED_JOBS
+     */
+    pruneFinished() {
+        const finished = this.jobs.filter(j => j.finished !== undefined);
+        const excess = new Set(finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS)));
+        this.jobs = this.jobs.filter(j => !excess.has(j));
+    }
+
+    /**
+     * @returns {Job[]} - Jobs waiting to run
+     */
+    getQueued() {
+        return this.jobs.filter(j => j.state === 'queued');
+    }
+
+    dispose() {
+        this.jobs.forEach(job => this.cancel(job));
+        this._onDidChange.dispose();
+    }
+}
+
+/**
+ * Describes how long a job ran, e.g. "12 s"
+ * @param {Job} job
+ * @returns {string}
+ */
+function formatDuration(job) {
+    const end = job.finished ?? Date.now();
+    return job.started === undefined ? '' : `${Math.round((end - job.started) / 1000)} s`;
+}
+
+/**
+ * Tree data provider for the Background Jobs view, newest job first
+ */
+class JobsTreeProvider {
+    /**
+     * @param {OperationQueue} queue
+     */
+    constructor(queue) {
+        this.queue = queue;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        this.queueListener = queue.onDidChange(() => this._onDidChangeTreeData.fire());
+    }
+
+    dispose() {
+        this.queueListener.dispose();
+        this._onDidChangeTreeData.dispose();
+    }
+
+    /**
+     * @param {vscode.TreeItem} element
+     * @returns {vscode.TreeItem}
+     */
+    getTreeItem(element) {
+        return element;
+    }
+
+    /**
+     * @param {vscode.TreeItem} [element]
+     * @returns {vscode.TreeItem[]}
+     */
+    getChildren(element) {
+        if (element) {
+            return [];
+        }
+        return [...this.queue.jobs].reverse().map(job => {
+            const item = new vscode.TreeItem(job.label, vscode.TreeItemCollapsibleState.None);
+            item.id = `job.${job.id}`;
+            item.job = job;
+            item.description = [job.state, job.state === 'running' ? job.message : formatDuration(job)]
+                .filter(Boolean)
+                .join(' · ');
+            item.tooltip = job.error ? `${job.label}\n${job.error.message}` : job.label;
+            item.iconPath = new vscode.ThemeIcon(STATE_ICONS[job.state]);
+            item.contextValue = `job.${job.state}`;
+            return item;
+        });
+    }
+}
+
+/**
+ * Opens a job's output in an editor
+ * @param {Job} job
+ * @returns {Promise<void>}
+ */
+async function showJobOutput(job) {
+    const document = await vscode.workspace.openTextDocument({
+        content: `${job.label} (${job.state})\n\n${job.output.trim() || 'No output.'}\n`,
+        language: 'log'
+    });
+    await vscode.window.showTextDocument(document, { preview: true });
+}
+
+module.exports = {
+    OperationQueue,
+    JobsTreeProvider,
+    showJobOutput
+};
@@ -0,0 +1,39 @@
+// Child processes that can be stopped together with everything they start.
+// rig runs installers and sudo runs rig, so killing only the direct child can leave them running.
+const { spawn, execFile } = require('child_process');
+
+/**
+ * Spawns a process in its own process group (on Windows, taskkill finds the tree by parent id)
+ * @param {string} command
+ * @param {string[]} args
+ * @param {import('child_process').SpawnOptions} [options]
+ * @returns {import('child_process').ChildProcess}
+ */
+function spawnTree(command, args, options = {}) {
+    return spawn(command, args, { ...options, detached: process.platform !== 'win32' });
+}
+
+/**
+ * Stops a process started with spawnTree and all of its descendants
+ * @param {import('child_process').ChildProcess} child
+ */
+function killProcessTree(child) {
+    if (child.pid === undefined || child.exitCode !== null || child.signalCode !== null) {
+        return;
+    }
+    if (process.platform === 'win32') {
+        execFile('taskkill', ['/pid', String(child.pid), '/T', '/F'], () => {});
+        return;
+    }
+    try {
+        // A negative pid signals the whole process group
+        process.kill(-child.pid, 'SIGTERM');
+    } catch {
+        child.kill();
+    }
+}
+
+module.exports = {
+    spawnTree,
+    killProcessTree
+};
@@ -0,0 +1,134 @@
+// renv follow-up actions run with a chosen R installation, and the check that the
+// Bioconductor release recorded in renv.lock supports that installation's R version.
+const vscode = require('vscode');
+const fs = require('fs');
+const { runRscript } = require('./rscript');
+const versionResolver = require('./versionResolver');
+
+// R series each Bioconductor release is built for; a release only supports this one series
+const BIOCONDUCTOR_R_SERIES = {
+    '3.5': '3.4',
+    '3.6': '3.4',
+    '3.7': '3.5',
+    '3.8': '3.5',
+    '3.9': '3.6',
+    '3.10': '3.6',
+    '3.11': '4.0',
+    '3.12': '4.0',
+    '3.13': '4.1',
+    '3.14': '4.1',
+    '3.15': '4.2',
+    '3.16': '4.2',
+    '3.17': '4.3',
+    '3.18': '4.3',
+    '3.19': '4.4',
+    '3.20': '4.4',
+    '3.21': '4.5',
+    '3.22': '4.5'
+};
+
+const RENV_COMMANDS = {
+    restore: { title: 'renv::restore()', expression: 'renv::restore(prompt = FALSE)' },
+    status: { title: 'renv::status()', expression: 'renv::status()' }
+};
+
+let channel;
+
+/**
+ * Returns the panel renv output is shown in, creating it on first use
+ * @returns {vscode.OutputChannel}
+ */
+function getChannel() {
+    if (!channel) {
+        channel = vscode.window.createOutputChannel('Rig Manager: renv');
+    }
+    return channel;
+}
+
+/**
+ * Reads the Bioconductor release recorded in a renv.lock file
+ * @param {string} lockfilePath
+ * @returns {string | undefined} - e.g. "3.18"; undefined if the project does not use Bioconductor
+ */
+function readBioconductorVersion(lockfilePath) {
+    try {
+        const version = JSON.parse(fs.readFileSync(lockfilePath, 'utf8')).Bioconductor?.Version;
+        return typeof version === 'string' && /^\d+\.\d+$/.test(version.trim()) ? version.trim() : undefined;
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Checks a Bioconductor release against an R version
+ * @param {string} bioconductorVersion - e.g. "3.18"
+ * @param {string} rVersion - e.g. "4.4.1"
+ * @returns {{bioconductorVersion: string, requiredSeries: string, compatible: boolean} | undefined}
+ *   Undefined for releases this extension does not know about
+ */
+function checkBioconductor(bioconductorVersion, rVersion) {
+    const requiredSeries = BIOCONDUCTOR_R_SERIES[bioconductorVersion];
+    if (!requiredSeries) {
+        return undefined;
+    }
+    return {
+        bioconductorVersion,
+        requiredSeries,
+        compatible: versionResolver.minorSeries(rVersion) === requiredSeries
+    };
+}
+
+/**
+ * Finds the newest version of an R series
+ * @param {string} series - e.g. "4.3"
+ * @param {Array} versions - Output of `rig list --json` or `rig available --json`
+ * @returns {Object | undefined}
+ */
+function findLatestInSeries(series, versions) {
+    return versions
+        .filter(r => r.version && versionResolver.minorSeries(r.version) === series)
+        .sort((a, b) => versionResolver.compareVersions(b.version, a.version))[0];
+}
+
+/**
+ * Runs `renv::restore()` or `renv::status()` in a project with an installation's R,
+ * streaming the output to the "Rig Manager: renv" panel
+ * @param {'restore' | 'status'} command
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @param {string} projectDir - Folder containing renv.lock
+ * @param {Object} [options]
+ * @param {(message: string) => void} [options.onProgress] - Receives the last line of output
+ * @param {vscode.CancellationToken} [options.token] - Stops R when cancelled
+ * @returns {Promise<void>}
+ */
+async function runRenvCommand(command, installation, projectDir, options = {}) {
+    const { title, expression } = RENV_COMMANDS[command];
+    const output = getChannel();
+    output.show(true);
+    output.appendLine(`> ${title} with R ${installation.version} in ${projectDir}`);
+    try {
+        await runRscript(installation, expression, {
+            cwd: projectDir,
+            token: options.token,
+            onStdout: text => {
+                output.append(text);
+                const message = text.trim().split('\n').pop();
+                if (message) {
+                    options.onProgress?.(message);
+                }
+            }
+        });
+        output.appendLine(`${title} finished.\n`);
+    } catch (error) {
+        output.appendLine(`${title} failed: ${error.message}\n`);
+        throw error;
+    }
+}
+
+module.exports = {
+    RENV_COMMANDS,
+    readBioconductorVersion,
+    checkBioconductor,
+    findLatestInSeries,
+    runRenvCommand
+};
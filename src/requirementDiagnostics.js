@@ -0,0 +1,232 @@
+// Editor support for the R version line of renv.lock and DESCRIPTION files: a warning when
+// the active R version does not meet the requirement, quick fixes to switch, install or
+// update the lockfile, and a hover listing installed and available versions.
+const vscode = require('vscode');
+const requirements = require('./requirements');
+const versionResolver = require('./versionResolver');
+const log = require('./log');
+
+const DIAGNOSTIC_SOURCE = 'Rig Manager';
+const DIAGNOSTIC_CODE = 'r-version-mismatch';
+// Detectors whose files get diagnostics; other requirement files are only checked on activation
+const EDITOR_DETECTORS = ['renv', 'description'];
+const DOCUMENT_SELECTOR = [
+    { scheme: 'file', pattern: '**/renv.lock' },
+    { scheme: 'file', pattern: '**/DESCRIPTION' }
+];
+// Available versions listed in a hover before the rest are summarised
+const MAX_AVAILABLE_IN_HOVER = 10;
+const RELEASE_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/**
+ * Finds the requirement recorded in an open renv.lock or DESCRIPTION and the range it spans
+ * @param {vscode.TextDocument} document
+ * @param {string[] | undefined} enabledIds - Detector ids enabled by `rig-manager.requirements.sources`
+ * @returns {{detector: string, version: string, operator: string, line: number, range: vscode.Range} | undefined}
+ */
+function findRequirementInDocument(document, enabledIds) {
+    const ids = EDITOR_DETECTORS.filter(id => !enabledIds || enabledIds.includes(id));
+    const detector = requirements.findDetectorForFile(document.uri.fsPath, ids);
+    if (!detector) {
+        return undefined;
+    }
+    let parsed;
+    try {
+        parsed = detector.parse(document.getText());
+    } catch {
+        // Half-edited lockfiles are not valid JSON; the next change tries again
+        return undefined;
+    }
+    if (!parsed || parsed.line > document.lineCount) {
+        return undefined;
+    }
+
+    // Underline the version value in renv.lock and `R (>= x.y)` in DESCRIPTION
+    const textLine = document.lineAt(parsed.line - 1);
+    const match = detector.id === 'renv'
+        ? textLine.text.match(new RegExp(`(?<="Version"\\s*:\\s*")${parsed.version.replace(/\./g, '\\.')}(?=")`))
+        : textLine.text.match(/\bR\s*\([^)]*\)/);
+    const range = match
+        ? new vscode.Range(parsed.line - 1, match.index, parsed.line - 1, match.index + match[0].length)
+        : new vscode.Range(parsed.line - 1, textLine.firstNonWhitespaceCharacterIndex, parsed.line - 1, textLine.text.length);
+    return { detector: detector.id, ...parsed, range };
+}
+
+/**
+ * Keeps diagnostics of open renv.lock and DESCRIPTION files up to date and provides
+ * their quick fixes and hovers
+ */
+class RequirementDiagnostics {
+    /**
+     * @param {Object} host
+     * @param {() => boolean} host.isAvailable - Whether rig can be used; no diagnostics otherwise
+     * @param {() => Promise<Array>} host.listInstalled - Resolves to `rig list --json` output
+     * @param {() => Promise<Array>} host.listAvailable - Resolves to `rig available --json` output
+     * @param {(installedVersions: Array, folder: vscode.WorkspaceFolder | undefined) => Object | undefined} host.getActiveInstallation -
+     *   Installed version used for a workspace folder
+     * @param {() => string} host.getMatchPolicy - Value of `rig-manager.requirements.matchPolicy`
+     * @param {() => string[] | undefined} host.getEnabledDetectors - Value of `rig-manager.requirements.sources`
+     */
+    constructor(host) {
+        this.host = host;
+        this.collection = vscode.languages.createDiagnosticCollection('rig-manager');
+        this.disposables = [
+            this.collection,
+            vscode.languages.registerCodeActionsProvider(DOCUMENT_SELECTOR, this, {
+                providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+            }),
+            vscode.languages.registerHoverProvider(DOCUMENT_SELECTOR, this),
+            vscode.workspace.onDidOpenTextDocument(document => this.update(document)),
+            vscode.workspace.onDidChangeTextDocument(e => this.update(e.document)),
+            vscode.workspace.onDidCloseTextDocument(document => this.collection.delete(document.uri))
+        ];
+    }
+
+    /**
+     * Re-checks every open renv.lock and DESCRIPTION, e.g. after the active R version changed
+     */
+    refresh() {
+        vscode.workspace.textDocuments.forEach(document => this.update(document));
+    }
+
+    /**
+     * Re-checks one document
+     * @param {vscode.TextDocument} document
+     * @returns {Promise<void>}
+     */
+    async update(document) {
+        const requirement = this.host.isAvailable()
+            ? findRequirementInDocument(document, this.host.getEnabledDetectors())
+            : undefined;
+        if (!requirement) {
+            this.collection.delete(document.uri);
+            return;
+        }
+
+        let installedVersions;
+        try {
+            installedVersions = await this.host.listInstalled();
+        } catch (error) {
+            log.warn(`Could not check the R version required by ${document.uri.fsPath}: ${error.message}`);
+            return;
+        }
+        const active = this.host.getActiveInstallation(installedVersions, vscode.workspace.getWorkspaceFolder(document.uri));
+        if (versionResolver.isSatisfied(active?.version, requirement, this.host.getMatchPolicy(), installedVersions, [])) {
+            this.collection.delete(document.uri);
+            return;
+        }
+
+        const diagnostic = new vscode.Diagnostic(
+            requirement.range,
+            `This project requires R ${versionResolver.formatConstraint(requirement)}, but ${active ? `R ${active.version}` : 'no R version'} is active.`,
+            vscode.DiagnosticSeverity.Warning
+        );
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.code = DIAGNOSTIC_CODE;
+        this.collection.set(document.uri, [diagnostic]);
+    }
+
+    /**
+     * Offers "Switch to X", "Install X" and, in renv.lock, "Update lockfile to the active version"
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Range} range
+     * @param {vscode.CodeActionContext} context
+     * @returns {Promise<vscode.CodeAction[]>}
+     */
+    async provideCodeActions(document, range, context) {
+        const diagnostic = context.diagnostics.find(d => d.source === DIAGNOSTIC_SOURCE && d.code === DIAGNOSTIC_CODE);
+        const requirement = diagnostic && findRequirementInDocument(document, this.host.getEnabledDetectors());
+        if (!requirement) {
+            return [];
+        }
+
+        let installedVersions;
+        try {
+            installedVersions = await this.host.listInstalled();
+        } catch {
+            return [];
+        }
+        const availableVersions = await this.host.listAvailable().catch(() => []);
+        const active = this.host.getActiveInstallation(installedVersions, vscode.workspace.getWorkspaceFolder(document.uri));
+        const { match, exact, compatible, install } = versionResolver.resolveRequirement(
+            requirement, installedVersions, availableVersions, this.host.getMatchPolicy()
+        );
+
+        const actions = [];
+        // The R Versions view commands take a tree item; only its rVersion is used
+        const switchTarget = match || compatible;
+        if (switchTarget && switchTarget.name !== active?.name) {
+            const action = new vscode.CodeAction(`Switch to R ${switchTarget.name}`, vscode.CodeActionKind.QuickFix);
+            action.command = { title: action.title, command: 'rig-manager.versions.switch', arguments: [{ rVersion: switchTarget }] };
+            action.diagnostics = [diagnostic];
+            action.isPreferred = exact;
+            actions.push(action);
+        }
+        if (!exact && install) {
+            const action = new vscode.CodeAction(`Install R ${install}`, vscode.CodeActionKind.QuickFix);
+            action.command = { title: action.title, command: 'rig-manager.versions.install', arguments: [{ rVersion: { name: install } }] };
+            action.diagnostics = [diagnostic];
+            actions.push(action);
+        }
+        if (requirement.detector === 'renv' && active?.version) {
+            const action = new vscode.CodeAction(`Update lockfile to the active version (${active.version})`, vscode.CodeActionKind.QuickFix);
+            action.edit = new vscode.WorkspaceEdit();
+            action.edit.replace(document.uri, requirement.range, active.version);
+            action.diagnostics = [diagnostic];
+            actions.push(action);
+        }
+        return actions;
+    }
+
+    /**
+     * Lists installed and available R versions when hovering the requirement
+     * @param {vscode.TextDocument} document
+     * @param {vscode.Position} position
+     * @returns {Promise<vscode.Hover | undefined>}
+     */
+    async provideHover(document, position) {
+        const requirement = this.host.isAvailable() && findRequirementInDocument(document, this.host.getEnabledDetectors());
+        if (!requirement || position.line !== requirement.range.start.line) {
+            return undefined;
+        }
+
+        let installedVersions;
+        try {
+            installedVersions = await this.host.listInstalled();
+        } catch {
+            return undefined;
+        }
+        const availableVersions = await this.host.listAvailable().catch(() => []);
+        const policy = this.host.getMatchPolicy();
+        const active = this.host.getActiveInstallation(installedVersions, vscode.workspace.getWorkspaceFolder(document.uri));
+        const meets = version => versionResolver.isSatisfied(version, requirement, policy, installedVersions, availableVersions);
+
+        const markdown = new vscode.MarkdownString(`**Required:** R ${versionResolver.formatConstraint(requirement)}\n\n`);
+        markdown.appendMarkdown('**Installed** (`rig list`):\n\n');
+        const installed = [...installedVersions].sort((a, b) => versionResolver.compareVersions(b.version, a.version));
+        markdown.appendMarkdown(installed.length === 0
+            ? '- none\n'
+            : installed.map(r => `- ${meets(r.version) ? '✔' : '✘'} ${r.name}${r.name === active?.name ? ' (active)' : ''}\n`).join(''));
+
+        const available = availableVersions
+            .filter(r => RELEASE_PATTERN.test(r.version || '') && !installedVersions.some(i => i.version === r.version))
+            .sort((a, b) => versionResolver.compareVersions(b.version, a.version));
+        markdown.appendMarkdown('\n**Available** (`rig available`):\n\n');
+        markdown.appendMarkdown(available.length === 0
+            ? '- none\n'
+            : available.slice(0, MAX_AVAILABLE_IN_HOVER).map(r => `- ${meets(r.version) ? '✔' : '✘'} ${r.version}\n`).join(''));
+        if (available.length > MAX_AVAILABLE_IN_HOVER) {
+            markdown.appendMarkdown(`- … and ${available.length - MAX_AVAILABLE_IN_HOVER} older releases\n`);
+        }
+        return new vscode.Hover(markdown, requirement.range);
+    }
+
+    dispose() {
+        this.disposables.forEach(d => d.dispose());
+    }
+}
+
+module.exports = {
+    findRequirementInDocument,
+    RequirementDiagnostics
+};
@@ -0,0 +1,274 @@
+// Detection of the R version a project requires.
+// Each detector knows one kind of file; detectors are listed in priority order
+// and the first one that finds a requirement in a project directory wins.
+const fs = require('fs');
+const path = require('path');
+const { compareVersions, parseConstraint } = require('./versionResolver');
+
+// Directories that never contain project files worth checking
+const IGNORED_DIRECTORIES = new Set(['node_modules', 'renv', 'packrat', '.git', '.Rproj.user']);
+
+const VERSION_PATTERN = /\d+\.\d+(?:\.\d+)?/;
+
+/**
+ * Returns the 1-based line number of a character offset
+ * @param {string} content - File content
+ * @param {number} index - Character offset
+ * @returns {number}
+ */
+function lineAt(content, index) {
+    return content.slice(0, index).split('\n').length;
+}
+
+/**
+ * Lists the workflow files of a directory's `.github/workflows` folder
+ * @param {string} dir - Project directory
+ * @returns {string[]}
+ */
+function listWorkflowFiles(dir) {
+    const workflowsDir = path.join(dir, '.github', 'workflows');
+    try {
+        return fs.readdirSync(workflowsDir)
+            .filter(name => /\.ya?ml$/.test(name))
+            .map(name => path.join(workflowsDir, name));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Requirement detectors in priority order.
+ * `candidates` lists the files a detector looks at in a project directory,
+ * `matches` tells whether a changed file belongs to the detector and
+ * `parse` extracts `{version, operator, line}` from a file's content.
+ */
+const DETECTORS = [
+    {
+        id: 'renv',
+        candidates: dir => [path.join(dir, 'renv.lock')],
+        matches: filePath => path.basename(filePath) === 'renv.lock',
+        parse: content => {
+            const version = JSON.parse(content).R?.Version;
+            if (!version) {
+                return undefined;
+            }
+            // Point at the "Version" line inside the "R" block
+            const rBlock = content.search(/"R"\s*:\s*\{/);
+            const versionIndex = content.indexOf('"Version"', Math.max(rBlock, 0));
+            return { version, operator: '==', line: versionIndex >= 0 ? lineAt(content, versionIndex) : 1 };
+        }
+    },
+    {
+        id: 'version-file',
+        candidates: dir => [path.join(dir, '.rig-version'), path.join(dir, '.R-version')],
+        matches: filePath => ['.rig-version', '.R-version'].includes(path.basename(filePath)),
+        parse: content => {
+            const lines = content.split(/\r?\n/);
+            const index = lines.findIndex(l => l.trim() && !l.trim().startsWith('#'));
+            if (index < 0) {
+                return undefined;
+            }
+            // Accept constraints and aliases; rig names such as "4.3-arm64" fall back to their version prefix
+            const value = lines[index].trim();
+            const constraint = parseConstraint(value);
+            const match = value.match(new RegExp(`^${VERSION_PATTERN.source}`));
+            if (constraint) {
+                return { ...constraint, line: index + 1 };
+            }
+            return match ? { version: match[0], operator: '==', line: index + 1 } : undefined;
+        }
+    },
+    {
+        id: 'tool-versions',
+        candidates: dir => [path.join(dir, '.tool-versions')],
+        matches: filePath => path.basename(filePath) === '.tool-versions',
+        parse: content => {
+            const match = content.match(new RegExp(`^\\s*[Rr]\\s+(${VERSION_PATTERN.source})`, 'm'));
+            return match ? { version: match[1], operator: '==', line: lineAt(content, match.index) } : undefined;
+        }
+    },
+    {
+        id: 'description',
+        candidates: dir => [path.join(dir, 'DESCRIPTION')],
+        matches: filePath => path.basename(filePath) === 'DESCRIPTION',
+        parse: content => {
+            // The Depends field may continue on indented lines
+            const lines = content.split(/\r?\n/);
+            const start = lines.findIndex(l => /^Depends\s*:/.test(l));
+            if (start < 0) {
+                return undefined;
+            }
+            for (let i = start; i < lines.length && (i === start || /^\s/.test(lines[i])); i++) {
+                const match = lines[i].match(new RegExp(`\\bR\\s*\\(\\s*(>=|>|==)\\s*(${VERSION_PATTERN.source})\\s*\\)`));
+                if (match) {
+                    return { version: match[2], operator: match[1], line: i + 1 };
+                }
+            }
+            return undefined;
+        }
+    },
+    {
+        id: 'dockerfile',
+        candidates: dir => [path.join(dir, 'Dockerfile')],
+        matches: filePath => path.basename(filePath) === 'Dockerfile',
+        parse: content => {
+            const match = content.match(new RegExp(`^\\s*FROM\\s+(?:\\S+/)?(?:rocker/[\\w-]+|r-base):(${VERSION_PATTERN.source})`, 'im'));
+            return match ? { version: match[1], operator: '==', line: lineAt(content, match.index) } : undefined;
+        }
+    },
+    {
+        id: 'github-workflow',
+        candidates: listWorkflowFiles,
+        matches: filePath => /\.ya?ml$/.test(filePath) && path.basename(path.dirname(filePath)) === 'workflows'
+            && path.basename(path.dirname(path.dirname(filePath))) === '.github',
+        parse: content => {
+            // Use the highest version listed for `r` or `r-version` (matrices may list several),
+            // or the first alias such as "release" when no version is listed
+            let best;
+            let firstAlias;
+            content.split(/\r?\n/).forEach((l, i) => {
+                const match = l.match(/(?:^|[\s{,-])(?:r|r-version)\s*:\s*([^#}]+)/);
+                if (!match || match[1].includes('${{')) {
+                    return;
+                }
+                match[1].split(/[\s,[\]'"]+/).filter(Boolean).forEach(value => {
+                    const constraint = parseConstraint(value);
+                    if (!constraint) {
+                        return;
+                    }
+                    if (constraint.operator === 'alias') {
+                        firstAlias = firstAlias || { ...constraint, line: i + 1 };
+                    } else if (!best || compareVersions(constraint.version, best.version) > 0) {
+                        best = { ...constraint, line: i + 1 };
+                    }
+                });
+            });
+            return best || firstAlias;
+        }
+    }
+];
+
+/**
+ * Runs one detector against a file
+ * @param {Object} detector - Entry of DETECTORS
+ * @param {string} filePath - File to read
+ * @returns {{detector: string, file: string, version: string, operator: string, line: number} | undefined}
+ * @throws {Error} If the file exists but cannot be parsed
+ */
+function detectInFile(detector, filePath) {
+    if (!fs.existsSync(filePath)) {
+        return undefined;
+    }
+    const parsed = detector.parse(fs.readFileSync(filePath, 'utf8'));
+    return parsed ? { detector: detector.id, file: filePath, ...parsed } : undefined;
+}
+
+/**
+ * Returns the enabled detectors in priority order
+ * @param {string[] | undefined} enabledIds - Detector ids to use; all when undefined
+ * @returns {Array}
+ */
+function getDetectors(enabledIds) {
+    return enabledIds ? DETECTORS.filter(d => enabledIds.includes(d.id)) : DETECTORS;
+}
+
+/**
+ * Finds the detector responsible for a file
+ * @param {string} filePath
+ * @param {string[] | undefined} enabledIds - Detector ids to use; all when undefined
+ * @returns {Object | undefined}
+ */
+function findDetectorForFile(filePath, enabledIds) {
+    return getDetectors(enabledIds).find(d => d.matches(filePath));
+}
+
+/**
+ * Detects the requirement of a single project directory using the first detector that finds one.
+ * Files that fail to parse are reported through onError and skipped.
+ * @param {string} dir - Project directory
+ * @param {string[] | undefined} enabledIds - Detector ids to use; all when undefined
+ * @param {(file: string, error: Error) => void} [onError] - Called for files that cannot be parsed
+ * @returns {{detector: string, file: string, version: string, operator: string, line: number} | undefined}
+ */
+function detectRequirement(dir, enabledIds, onError = () => {}) {
+    for (const detector of getDetectors(enabledIds)) {
+        for (const filePath of detector.candidates(dir)) {
+            try {
+                const requirement = detectInFile(detector, filePath);
+                if (requirement) {
+                    return requirement;
+                }
+            } catch (error) {
+                onError(filePath, error);
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Lists a folder and its subfolders as candidate project directories
+ * @param {string} rootPath - Folder to search
+ * @param {number} maxDepth - How many folder levels below rootPath to search (0 = root only)
+ * @returns {Promise<string[]>} - Directories, shallowest first
+ */
+async function findProjectDirectories(rootPath, maxDepth) {
+    const found = [];
+    let level = [rootPath];
+
+    for (let depth = 0; depth <= maxDepth && level.length > 0; depth++) {
+        found.push(...level);
+        const nextLevel = [];
+        for (const dir of level) {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch {
+                // Unreadable folders are skipped
+                continue;
+            }
+            for (const entry of entries) {
+                if (entry.isDirectory() && !entry.name.startsWith('.') && !IGNORED_DIRECTORIES.has(entry.name)) {
+                    nextLevel.push(path.join(dir, entry.name));
+                }
+            }
+        }
+        level = nextLevel;
+    }
+    return found;
+}
+
+/**
+ * Returns the project directory a detector file belongs to
+ * @param {string} filePath - File matched by a detector
+ * @returns {string}
+ */
+function getProjectDirectory(filePath) {
+    const dir = path.dirname(filePath);
+    // Workflow files live in <project>/.github/workflows
+    if (path.basename(dir) === 'workflows' && path.basename(path.dirname(dir)) === '.github') {
+        return path.dirname(path.dirname(dir));
+    }
+    return dir;
+}
+
+/**
+ * Returns how many folder levels a directory is below a root folder
+ * @param {string} rootPath - Root folder
+ * @param {string} dir - Directory inside the root folder
+ * @returns {number} - 0 for the root itself
+ */
+function getDepth(rootPath, dir) {
+    const relative = path.relative(rootPath, dir);
+    return relative ? relative.split(path.sep).length : 0;
+}
+
+module.exports = {
+    DETECTORS,
+    detectInFile,
+    findDetectorForFile,
+    detectRequirement,
+    findProjectDirectories,
+    getProjectDirectory,
+    getDepth
+};
@@ -0,0 +1,58 @@
+// Startup check that rig can be run and is new enough for the JSON output the extension reads
+const vscode = require('vscode');
+const { getRigExecutable, runRig } = require('./rigRunner');
+const { compareVersions } = require('./versionResolver');
+
+// First rig release whose `list` and `available` commands support `--json`
+const MIN_RIG_VERSION = '0.5.0';
+
+/**
+ * Runs `rig --version` and classifies the result
+ * @returns {Promise<{status: 'ok' | 'missing' | 'outdated', version?: string, executable: string, message?: string}>}
+ */
+async function detectRig() {
+    const executable = getRigExecutable();
+    let stdout;
+    try {
+        ({ stdout } = await runRig(['--version']));
+    } catch (error) {
+        return { status: 'missing', executable, message: error.message };
+    }
+
+    const version = stdout.match(/\d+\.\d+\.\d+/)?.[0];
+    if (version && compareVersions(version, MIN_RIG_VERSION) < 0) {
+        return { status: 'outdated', version, executable };
+    }
+    return { status: 'ok', version, executable };
+}
+
+/**
+ * Publishes the detection result as context keys used by command enablement and the welcome view:
+ * `rig-manager.rigAvailable` (boolean) and `rig-manager.rigStatus` ('ok', 'missing' or 'outdated')
+ * @param {{status: string}} result - Result of detectRig
+ * @returns {Thenable<void>}
+ */
+function setRigContext(result) {
+    return Promise.all([
+        vscode.commands.executeCommand('setContext', 'rig-manager.rigAvailable', result.status === 'ok'),
+        vscode.commands.executeCommand('setContext', 'rig-manager.rigStatus', result.status)
+    ]);
+}
+
+/**
+ * Describes a failed detection for the status bar and notifications
+ * @param {{status: string, version?: string, executable: string}} result - Result of detectRig
+ * @returns {string}
+ */
+function describeProblem(result) {
+    return result.status === 'outdated'
+        ? `rig ${result.version} is too old. Rig Manager needs rig ${MIN_RIG_VERSION} or newer.`
+        : `rig was not found (looked for "${result.executable}"). Install rig or set rig-manager.rigPath.`;
+}
+
+module.exports = {
+    MIN_RIG_VERSION,
+    detectRig,
+    setRigContext,
+    describeProblem
+};
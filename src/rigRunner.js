@@ -0,0 +1,174 @@
+// Single entry point for running rig.
+// Arguments are always passed as an array and never go through a shell, so values
+// read from project files (e.g. renv.lock) cannot inject extra commands.
+const vscode = require('vscode');
+const { execFile } = require('child_process');
+const log = require('./log');
+const { spawnTree } = require('./processTree');
+
+const RIG_EXECUTABLE = 'rig';
+
+// Version names and aliases rig understands, e.g. "4.3.1", "4.3-arm64", "release", "oldrel/1".
+// A leading '-' is rejected so a name can never be read as a rig option.
+const SAFE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._/-]*$/;
+const ALIAS_PATTERN = /^(release|devel|next|oldrel(?:\/\d+)?)$/;
+
+/**
+ * Gets the rig executable: the `rig-manager.rigPath` setting, or `rig` from PATH
+ * @returns {string}
+ */
+function getRigExecutable() {
+    const rigPath = vscode.workspace.getConfiguration('rig-manager').get('rigPath');
+    return rigPath && rigPath.trim() ? rigPath.trim() : RIG_EXECUTABLE;
+}
+
+/**
+ * Runs rig and collects its output
+ * @param {string[]} args - Arguments passed to rig
+ * @param {Object} [options]
+ * @param {vscode.CancellationToken} [options.token] - Stops rig when cancelled
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function runRig(args, options = {}) {
+    const rig = getRigExecutable();
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        let cancellation;
+        const child = execFile(rig, args, { maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+            cancellation?.dispose();
+            log.logProcess(rig, args, {
+                code: error ? error.code : 0,
+                durationMs: Date.now() - started,
+                stdout,
+                stderr
+            });
+            if (error) {
+                const rigError = new Error(error.code === 'ENOENT'
+                    ? `rig was not found ("${rig}"). Install rig or set rig-manager.rigPath.`
+                    : stderr.trim() || error.message);
+                rigError.code = error.code;
+                reject(rigError);
+                return;
+            }
+            resolve({ stdout, stderr });
+        });
+        cancellation = options.token?.onCancellationRequested(() => child.kill());
+    });
+}
+
+/**
+ * Parses the JSON output of a rig command
+ * @param {string} stdout - Raw rig output
+ * @returns {any}
+ */
+function parseRigJson(stdout) {
+    // Clean up the output to handle Windows path escaping issues
+    let cleanOutput = stdout.trim();
+
+    // On Windows, rig outputs paths with single backslashes which are invalid in JSON
+    // We need to properly escape them
+    if (process.platform === 'win32') {
+        // Use a more targeted approach: only escape backslashes in path-like strings
+        // Look for patterns like "C:\..." and escape the backslashes
+        cleanOutput = cleanOutput.replace(/"([A-Za-z]:[^"]*?)"/g, (match, path) => {
+            // Escape backslashes in the path
+            const escapedPath = path.replace(/\\/g, '\\\\');
+            return `"${escapedPath}"`;
+        });
+    }
+
+    return JSON.parse(cleanOutput);
+}
+
+/**
+ * Utility function to execute rig commands and parse JSON output
+ * @param {string[]} args - Arguments passed to rig, e.g. ['list', '--json']
+ * @param {string} [errorMessage] - Message shown if rig fails; without one, failures are only logged
+ * @returns {Promise<any>} - Parsed JSON result
+ */
+async function executeRigCommand(args, errorMessage) {
+    let stdout;
+    try {
+        ({ stdout } = await runRig(args));
+    } catch (error) {
+        if (errorMessage) {
+            log.showError(`${errorMessage}: ${error.message}`);
+        }
+        throw error;
+    }
+
+    try {
+        return parseRigJson(stdout);
+    } catch (e) {
+        log.error(`JSON parse error for rig ${args.join(' ')}: ${e.message}`);
+        if (errorMessage) {
+            log.showError(`Failed to parse rig output: ${e.message}. See the Rig Manager log for details.`);
+        }
+        throw e;
+    }
+}
+
+/**
+ * Starts a long-running rig process whose output is streamed by the caller.
+ * The full output is recorded in the log when the process exits.
+ * Stop it with killProcessTree so installers rig started stop too.
+ * @param {string[]} args - Arguments passed to rig
+ * @returns {import('child_process').ChildProcess}
+ */
+function spawnRig(args) {
+    const rig = getRigExecutable();
+    const started = Date.now();
+    const child = spawnTree(rig, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    log.logProcessStart(rig, args);
+    child.stdout.on('data', data => { stdout += data.toString(); });
+    child.stderr.on('data', data => { stderr += data.toString(); });
+    child.on('close', code => {
+        log.logProcess(rig, args, { code, durationMs: Date.now() - started, stdout, stderr });
+    });
+    child.on('error', err => {
+        log.logProcess(rig, args, { code: err.code, durationMs: Date.now() - started, stdout, stderr: err.message });
+    });
+    return child;
+}
+
+/**
+ * Checks that a version name is safe to pass to rig
+ * @param {string} name - Version name or alias
+ * @returns {boolean}
+ */
+function isSafeVersionName(name) {
+    return typeof name === 'string' && SAFE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Checks that a version name is one rig reported, by name, version or alias
+ * @param {string} name - Version name or alias
+ * @param {Array} versions - Output of `rig list --json` or `rig available --json`
+ * @param {Object} [options]
+ * @param {boolean} [options.allowAliases] - Also accept rig aliases such as 'release' or 'oldrel/1'
+ * @returns {boolean}
+ */
+function isKnownVersionName(name, versions, options = {}) {
+    if (!isSafeVersionName(name)) {
+        return false;
+    }
+    if (options.allowAliases && ALIAS_PATTERN.test(name)) {
+        return true;
+    }
+    return versions.some(r => r.name === name || r.version === name
+        || (Array.isArray(r.aliases) && r.aliases.includes(name)));
+}
+
+module.exports = {
+    RIG_EXECUTABLE,
+    getRigExecutable,
+    runRig,
+    parseRigJson,
+    executeRigCommand,
+    spawnRig,
+    isSafeVersionName,
+    isKnownVersionName
+};
@@ -0,0 +1,160 @@
+// Cached view of `rig list` and `rig available`.
+// Results are kept for a TTL, concurrent requests share one rig call, and
+// consumers are notified through onDidChange when the state may have changed.
+const vscode = require('vscode');
+const log = require('./log');
+const { executeRigCommand } = require('./rigRunner');
+
+// `rig list` is cheap and changes outside VS Code, so it is only cached briefly
+const INSTALLED_TTL_MS = 30 * 1000;
+
+/**
+ * Caches one rig JSON command and merges concurrent requests into a single call
+ */
+class CachedRigQuery {
+    /**
+     * @param {string[]} args - Arguments passed to rig
+     * @param {() => number} getTtl - Returns the cache lifetime in milliseconds
+     * @param {(value: any, previous: any) => void} onFetched - Called with each fresh result
+     */
+    constructor(args, getTtl, onFetched) {
+        this.args = args;
+        this.getTtl = getTtl;
+        this.onFetched = onFetched;
+        this.value = undefined;
+        this.fetchedAt = 0;
+        this.pending = undefined;
+        // Bumped on invalidation so results of calls started earlier are not cached
+        this.generation = 0;
+        // Failed requests already shown, so callers sharing one see a single error
+        this.reported = new WeakSet();
+    }
+
+    /**
+     * @param {string} [errorMessage] - Message shown if rig fails; background callers omit it
+     * @returns {Promise<any>}
+     */
+    get(errorMessage) {
+        if (this.value !== undefined && Date.now() - this.fetchedAt < this.getTtl()) {
+            return Promise.resolve(this.value);
+        }
+        if (this.pending) {
+            return this.report(this.pending, errorMessage);
+        }
+
+        const generation = this.generation;
+        // The request may be shared with other callers, so each reports failures for itself
+        const pending = executeRigCommand(this.args)
+            .then(value => {
+                if (generation === this.generation) {
+                    const previous = this.value;
+                    this.value = value;
+                    this.fetchedAt = Date.now();
+                    this.onFetched(value, previous);
+                }
+                return value;
+            })
+            .finally(() => {
+                if (this.pending === pending) {
+                    this.pending = undefined;
+                }
+            });
+        this.pending = pending;
+        return this.report(pending, errorMessage);
+    }
+
+    /**
+     * Shows a failure of a request to the first caller that passed an error message
+     * @param {Promise<any>} request
+     * @param {string} [errorMessage]
+     * @returns {Promise<any>}
+     */
+    report(request, errorMessage) {
+        if (!errorMessage) {
+            return request;
+        }
+        return request.catch(error => {
+            if (!this.reported.has(request)) {
+                this.reported.add(request);
+                log.showError(`${errorMessage}: ${error.message}`);
+            }
+            throw error;
+        });
+    }
+
+    /**
+     * Drops the cached value and any request in flight
+     */
+    invalidate() {
+        this.generation++;
+        this.value = undefined;
+        this.pending = undefined;
+    }
+}
+
+/**
+ * Shared source of installed and available R versions
+ */
+class RigStateService {
+    constructor() {
+        this._onDidChange = new vscode.EventEmitter();
+        /** Fires when installed or available versions were invalidated or changed */
+        this.onDidChange = this._onDidChange.event;
+
+        const fireIfChanged = (value, previous) => {
+            if (previous !== undefined && JSON.stringify(value) !== JSON.stringify(previous)) {
+                this._onDidChange.fire();
+            }
+        };
+        this.installed = new CachedRigQuery(['list', '--json'], () => INSTALLED_TTL_MS, fireIfChanged);
+        this.available = new CachedRigQuery(['available', '--json'], getAvailableTtl, fireIfChanged);
+    }
+
+    /**
+     * Installed R versions, as reported by `rig list --json`
+     * @param {string} [errorMessage] - Message shown if rig fails; without one, failures are only logged
+     * @returns {Promise<Array>}
+     */
+    getInstalled(errorMessage) {
+        return this.installed.get(errorMessage);
+    }
+
+    /**
+     * R versions available to install, as reported by `rig available --json`
+     * @param {string} [errorMessage] - Message shown if rig fails; without one, failures are only logged
+     * @returns {Promise<Array>}
+     */
+    getAvailable(errorMessage) {
+        return this.available.get(errorMessage);
+    }
+
+    /**
+     * Forgets cached results and notifies consumers, e.g. after a switch, install or uninstall
+     * @param {Object} [options]
+     * @param {boolean} [options.includeAvailable] - Also refetch `rig available`
+     */
+    invalidate(options = {}) {
+        this.installed.invalidate();
+        if (options.includeAvailable) {
+            this.available.invalidate();
+        }
+        this._onDidChange.fire();
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+    }
+}
+
+/**
+ * Reads the lifetime of the `rig available` cache from `rig-manager.cache.availableTtlMinutes`
+ * @returns {number} - Milliseconds
+ */
+function getAvailableTtl() {
+    const minutes = vscode.workspace.getConfiguration('rig-manager').get('cache.availableTtlMinutes', 60);
+    return Math.max(0, minutes) * 60 * 1000;
+}
+
+module.exports = {
+    RigStateService
+};
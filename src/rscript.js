@@ -0,0 +1,76 @@
+// Runs R code with a specific rig installation through its Rscript
+const path = require('path');
+const log = require('./log');
+const { spawnTree, killProcessTree } = require('./processTree');
+
+/**
+ * Gets the Rscript executable next to an installation's R binary
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @returns {string}
+ */
+function getRscriptPath(installation) {
+    return path.join(path.dirname(installation.binary), process.platform === 'win32' ? 'Rscript.exe' : 'Rscript');
+}
+
+/**
+ * Evaluates an R expression with an installation's Rscript
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @param {string} expression - R code passed to `Rscript -e`
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory, usually the project root
+ * @param {(text: string) => void} [options.onStdout] - Receives stdout as it arrives
+ * @param {import('vscode').CancellationToken} [options.token] - Stops R and the processes it started when cancelled
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function runRscript(installation, expression, options = {}) {
+    const command = getRscriptPath(installation);
+    const args = ['-e', expression];
+    const started = Date.now();
+
+    return new Promise((resolve, reject) => {
+        // renv::restore() and install.packages() start R processes of their own
+        const child = spawnTree(command, args, { cwd: options.cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+        let stdout = '';
+        let stderr = '';
+
+        log.logProcessStart(command, args);
+
+        const cancellation = options.token?.onCancellationRequested(() => {
+            killProcessTree(child);
+            reject(new Error('Cancelled'));
+        });
+
+        child.stdout.on('data', data => {
+            stdout += data.toString();
+            options.onStdout?.(data.toString());
+        });
+        // R prints messages and progress to stderr, so both streams are forwarded
+        child.stderr.on('data', data => {
+            stderr += data.toString();
+            options.onStdout?.(data.toString());
+        });
+        child.on('close', code => {
+            cancellation?.dispose();
+            log.logProcess(command, args, { code, durationMs: Date.now() - started, stdout, stderr });
+            if (code === 0) {
+                resolve({ stdout, stderr });
+            } else {
+                const error = new Error(stderr.trim().split('\n').pop() || `Rscript exited with code ${code}`);
+                error.code = code;
+                error.stdout = stdout;
+                error.stderr = stderr;
+                reject(error);
+            }
+        });
+        child.on('error', err => {
+            cancellation?.dispose();
+            log.logProcess(command, args, { code: err.code, durationMs: Date.now() - started, stdout, stderr: err.message });
+            reject(err);
+        });
+    });
+}
+
+module.exports = {
+    getRscriptPath,
+    runRscript
+};
@@ -0,0 +1,70 @@
+// History of global default switches, kept in globalState so it survives restarts.
+// It orders the switch picker by recent use and lets a switch be reverted.
+const HISTORY_KEY = 'rig-manager.switchHistory';
+const MAX_ENTRIES = 50;
+
+/**
+ * @typedef {Object} SwitchRecord
+ * @property {string | undefined} from - Name of the previous default, if there was one
+ * @property {string} to - Name of the new default
+ * @property {number} time - When the switch happened, in milliseconds since the epoch
+ * @property {string} trigger - What started it: 'manual', 'renv', 'status bar', 'install', 'manifest' or 'revert'
+ */
+
+/**
+ * Gets the recorded switches, newest first
+ * @param {vscode.Memento} globalState
+ * @returns {SwitchRecord[]}
+ */
+function getHistory(globalState) {
+    return globalState.get(HISTORY_KEY, []);
+}
+
+/**
+ * Records a switch, dropping the oldest entries beyond MAX_ENTRIES
+ * @param {vscode.Memento} globalState
+ * @param {{from: string | undefined, to: string, trigger: string}} record
+ * @returns {Thenable<void>}
+ */
+function recordSwitch(globalState, record) {
+    const entry = { from: record.from, to: record.to, time: Date.now(), trigger: record.trigger };
+    return globalState.update(HISTORY_KEY, [entry, ...getHistory(globalState)].slice(0, MAX_ENTRIES));
+}
+
+/**
+ * Gets the most recent switch, which "Revert to Previous R Version" undoes
+ * @param {vscode.Memento} globalState
+ * @returns {SwitchRecord | undefined}
+ */
+function getLastSwitch(globalState) {
+    const [last] = getHistory(globalState);
+    return last?.from ? last : undefined;
+}
+
+/**
+ * Orders installed versions by when they were last switched to or from, most recent first.
+ * Versions never switched keep their `rig list` order after them.
+ * @param {Array} versions - Output of `rig list --json`
+ * @param {SwitchRecord[]} history - Newest first
+ * @returns {Array}
+ */
+function orderByRecentUse(versions, history) {
+    const recent = [];
+    for (const entry of history) {
+        for (const name of [entry.to, entry.from]) {
+            if (name && !recent.includes(name)) {
+                recent.push(name);
+            }
+        }
+    }
+    const rank = r => (recent.includes(r.name) ? recent.indexOf(r.name) : recent.length);
+    // Array.prototype.sort is stable, so unranked versions stay in rig's order
+    return [...versions].sort((a, b) => rank(a) - rank(b));
+}
+
+module.exports = {
+    getHistory,
+    recordSwitch,
+    getLastSwitch,
+    orderByRecentUse
+};
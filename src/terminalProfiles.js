@@ -0,0 +1,138 @@
+// R consoles for specific installed versions, both as a terminal profile and a command.
+// VS Code only lists terminal profiles declared in package.json, so a single
+// "R (choose version)" profile asks which installed version to start.
+const vscode = require('vscode');
+const path = require('path');
+const workspacePin = require('./workspacePin');
+
+const PROFILE_ID = 'rig-manager.rConsole';
+// Consoles started by launchRConsole follow the active version and are replaced on switch;
+// consoles named "R <version>" stay open
+const DEFAULT_CONSOLE_PREFIX = 'R Console';
+const R_EDITOR_SUPPORT_CONSOLE = 'R Interactive';
+
+/**
+ * Reads the `rig-manager.rConsole.*` launcher settings
+ * @returns {{program: string, radianPath: string, args: string[], env: Object<string, string>, cwd: string, location: string}}
+ */
+function getLauncherSettings() {
+    const config = vscode.workspace.getConfiguration('rig-manager.rConsole');
+    return {
+        program: config.get('program', 'R'),
+        radianPath: config.get('radianPath') || 'radian',
+        args: config.get('args', []).filter(arg => typeof arg === 'string'),
+        env: config.get('env', {}),
+        cwd: config.get('cwd', 'workspaceRoot'),
+        location: config.get('location', 'panel')
+    };
+}
+
+/**
+ * Gets the program and arguments that start a console for an installation.
+ * radian is told which R to use with `--r-binary`.
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @param {ReturnType<typeof getLauncherSettings>} [settings]
+ * @returns {{program: string, args: string[]}}
+ */
+function getConsoleCommand(installation, settings = getLauncherSettings()) {
+    return settings.program === 'radian'
+        ? { program: settings.radianPath, args: [`--r-binary=${installation.binary}`, ...settings.args] }
+        : { program: installation.binary, args: settings.args };
+}
+
+/**
+ * Gets the folder a console starts in: the workspace root, or the active file's folder
+ * @param {string} cwdSetting - 'workspaceRoot' or 'activeFileFolder'
+ * @returns {string | undefined} - Undefined lets VS Code choose
+ */
+function getConsoleCwd(cwdSetting) {
+    const document = vscode.window.activeTextEditor?.document;
+    if (cwdSetting === 'activeFileFolder' && document?.uri.scheme === 'file') {
+        return path.dirname(document.uri.fsPath);
+    }
+    return workspacePin.getActiveWorkspaceFolder()?.uri.fsPath;
+}
+
+/**
+ * Builds the terminal options for an R console of one installation,
+ * following the `rig-manager.rConsole.*` launcher settings
+ * @param {Object} installation - Installed version from `rig list --json`
+ * @param {Object} [options]
+ * @param {boolean} [options.isDefault] - Name it as the console of the active version
+ * @param {string} [options.message] - Shown when the terminal starts
+ * @returns {vscode.TerminalOptions}
+ */
+function createConsoleOptions(installation, options = {}) {
+    const settings = getLauncherSettings();
+    const { program, args } = getConsoleCommand(installation, settings);
+    return {
+        name: options.isDefault
+            ? `${DEFAULT_CONSOLE_PREFIX} (${installation.version})`
+            : `R ${installation.version}`,
+        shellPath: program,
+        shellArgs: args,
+        cwd: getConsoleCwd(settings.cwd),
+        env: settings.env,
+        location: settings.location === 'editor' ? vscode.TerminalLocation.Editor : vscode.TerminalLocation.Panel,
+        message: options.message
+    };
+}
+
+/**
+ * Tells whether a terminal is a console tied to the active R version
+ * @param {vscode.Terminal} terminal
+ * @returns {boolean}
+ */
+function isDefaultConsole(terminal) {
+    return terminal.name === R_EDITOR_SUPPORT_CONSOLE || terminal.name.startsWith(DEFAULT_CONSOLE_PREFIX);
+}
+
+/**
+ * Asks which installed R version to start
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @returns {Promise<Object | undefined>} - Selected installation
+ */
+async function pickInstallation(installedVersions) {
+    const usable = installedVersions.filter(r => r.binary);
+    if (usable.length === 0) {
+        vscode.window.showInformationMessage('No R versions found. Please install one using "rig add".');
+        return undefined;
+    }
+    const selected = await vscode.window.showQuickPick(usable.map(r => ({
+        label: `R ${r.version}`,
+        description: [r.name, r.default ? '(default)' : ''].filter(Boolean).join(' '),
+        detail: r.binary,
+        installation: r
+    })), { placeHolder: 'Select the R version for the new console' });
+    return selected?.installation;
+}
+
+/**
+ * Terminal profile provider that starts R for a version chosen by the user
+ */
+class RTerminalProfileProvider {
+    /**
+     * @param {() => Promise<Array>} listInstalled - Resolves to `rig list --json` output
+     */
+    constructor(listInstalled) {
+        this.listInstalled = listInstalled;
+    }
+
+    /**
+     * @returns {Promise<vscode.TerminalProfile | undefined>}
+     */
+    async provideTerminalProfile() {
+        const installation = await pickInstallation(await this.listInstalled());
+        return installation ? new vscode.TerminalProfile(createConsoleOptions(installation)) : undefined;
+    }
+}
+
+module.exports = {
+    PROFILE_ID,
+    getLauncherSettings,
+    getConsoleCommand,
+    createConsoleOptions,
+    isDefaultConsole,
+    pickInstallation,
+    RTerminalProfileProvider
+};
@@ -0,0 +1,230 @@
+// Periodic check for newer R releases.
+// Compares installed versions against `rig available` and reports newer patches of
+// installed minor series, and release lines newer than anything installed.
+const vscode = require('vscode');
+const log = require('./log');
+const { compareVersions, minorSeries } = require('./versionResolver');
+
+const IGNORED_KEY = 'rig-manager.updates.ignoredVersions';
+const RELEASE_PATTERN = /^\d+\.\d+\.\d+$/;
+// Wait after activation before the first check so startup is not slowed down
+const INITIAL_DELAY_MS = 30 * 1000;
+
+/**
+ * Finds updates for installed R versions
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @param {Array} availableVersions - Output of `rig available --json`
+ * @param {string[]} ignoredVersions - Versions the user chose to ignore
+ * @returns {Array<{kind: 'patch' | 'release', version: string, name: string, installed?: string}>}
+ *   `patch` updates name the installed version they replace
+ */
+function findUpdates(installedVersions, availableVersions, ignoredVersions) {
+    const releases = availableVersions
+        .filter(r => RELEASE_PATTERN.test(r.version || '') && r.type !== 'devel' && r.type !== 'next')
+        .sort((a, b) => compareVersions(b.version, a.version));
+    const installed = installedVersions
+        .filter(r => RELEASE_PATTERN.test(r.version || ''))
+        .map(r => r.version)
+        .sort((a, b) => compareVersions(b, a));
+    if (installed.length === 0 || releases.length === 0) {
+        return [];
+    }
+    const isNew = r => !installed.includes(r.version) && !ignoredVersions.includes(r.version);
+    const updates = [];
+
+    // Newer patch of each installed minor series
+    for (const series of new Set(installed.map(minorSeries))) {
+        const newestInstalled = installed.find(v => minorSeries(v) === series);
+        const newer = releases.find(r => minorSeries(r.version) === series && compareVersions(r.version, newestInstalled) > 0);
+        if (newer && isNew(newer)) {
+            updates.push({ kind: 'patch', version: newer.version, name: newer.name, installed: newestInstalled });
+        }
+    }
+
+    // A release line newer than anything installed
+    const latest = releases[0];
+    if (compareVersions(minorSeries(latest.version), minorSeries(installed[0])) > 0 && isNew(latest)) {
+        updates.push({ kind: 'release', version: latest.version, name: latest.name });
+    }
+    return updates;
+}
+
+/**
+ * Describes an update for messages
+ * @param {{kind: string, version: string, installed?: string}} update
+ * @returns {string}
+ */
+function describeUpdate(update) {
+    return update.kind === 'patch'
+        ? `R ${update.version} is available (you have ${update.installed})`
+        : `R ${update.version}, a new release line, is available`;
+}
+
+/**
+ * Runs the update check on a schedule and shows its results
+ */
+class UpdateChecker {
+    /**
+     * @param {vscode.Memento} globalState - Stores ignored versions
+     * @param {Object} host
+     * @param {() => Promise<Array>} host.listInstalled - Resolves to `rig list --json` output
+     * @param {() => Promise<Array>} host.listAvailable - Resolves to `rig available --json` output
+     * @param {(update: Object, switchAfter: boolean) => Promise<void>} host.install - Installs an update
+     */
+    constructor(globalState, host) {
+        this.globalState = globalState;
+        this.host = host;
+        this.updates = [];
+        // Versions already announced in this session
+        this.notified = new Set();
+        this.timer = undefined;
+
+        this.statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+        this.statusBarItem.command = 'rig-manager.showUpdates';
+        this.configListener = vscode.workspace.onDidChangeConfiguration(e => {
+            if (e.affectsConfiguration('rig-manager.updates')) {
+                this.schedule();
+            }
+        });
+    }
+
+    /**
+     * Starts or restarts periodic checks according to `rig-manager.updates.*`
+     */
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = undefined;
+
+        const config = vscode.workspace.getConfiguration('rig-manager');
+        if (!config.get('updates.enabled')) {
+            this.setUpdates([]);
+            return;
+        }
+        const intervalMs = Math.max(1, config.get('updates.checkIntervalHours', 24)) * 60 * 60 * 1000;
+        const run = delay => {
+            this.timer = setTimeout(async () => {
+                await this.check(false);
+                run(intervalMs);
+            }, delay);
+        };
+        run(INITIAL_DELAY_MS);
+    }
+
+    /**
+     * Looks for updates now
+     * @param {boolean} manual - Report "no updates" and failures, and announce known updates again
+     * @returns {Promise<void>}
+     */
+    async check(manual) {
+        let updates;
+        try {
+            const [installed, available] = await Promise.all([this.host.listInstalled(), this.host.listAvailable()]);
+            updates = findUpdates(installed, available, this.getIgnored());
+        } catch (error) {
+            if (manual) {
+                log.showError(`R update check failed: ${error.message}`);
+            } else {
+                log.warn(`R update check failed: ${error.message}`);
+            }
+            return;
+        }
+        log.info(`R update check found ${updates.length} update(s)${updates.length ? `: ${updates.map(u => u.version).join(', ')}` : ''}`);
+        this.setUpdates(updates);
+
+        if (manual && updates.length === 0) {
+            vscode.window.showInformationMessage('Your installed R versions are up to date.');
+        }
+        for (const update of updates) {
+            if (manual || !this.notified.has(update.version)) {
+                this.notified.add(update.version);
+                this.notify(update);
+            }
+        }
+    }
+
+    /**
+     * Shows an update with its actions
+     * @param {Object} update - Update from findUpdates
+     * @returns {Promise<void>}
+     */
+    async notify(update) {
+        const choice = await vscode.window.showInformationMessage(
+            `${describeUpdate(update)}.`,
+            'Install',
+            'Install and Switch',
+            'Ignore This Version'
+        );
+        if (choice === 'Ignore This Version') {
+            await this.ignore(update.version);
+        } else if (choice) {
+            try {
+                await this.host.install(update, choice === 'Install and Switch');
+                this.setUpdates(this.updates.filter(u => u.version !== update.version));
+            } catch (error) {
+                log.warn(`Installing R ${update.version} from the update notification failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Lets the user pick one of the current updates to act on
+     * @returns {Promise<void>}
+     */
+    async showUpdates() {
+        if (this.updates.length === 0) {
+            await this.check(true);
+            return;
+        }
+        const selected = await vscode.window.showQuickPick(this.updates.map(u => ({
+            label: `R ${u.version}`,
+            description: u.kind === 'patch' ? `replaces ${u.installed}` : 'new release line',
+            update: u
+        })), { placeHolder: 'Select an R update' });
+        if (selected) {
+            await this.notify(selected.update);
+        }
+    }
+
+    /**
+     * Stops reporting a version, across sessions
+     * @param {string} version - R version
+     * @returns {Promise<void>}
+     */
+    async ignore(version) {
+        await this.globalState.update(IGNORED_KEY, [...new Set([...this.getIgnored(), version])]);
+        this.setUpdates(this.updates.filter(u => u.version !== version));
+    }
+
+    /**
+     * @returns {string[]} - Ignored versions
+     */
+    getIgnored() {
+        return this.globalState.get(IGNORED_KEY, []);
+    }
+
+    /**
+     * Stores the current updates and updates the status bar badge
+     * @param {Array} updates - Updates from findUpdates
+     */
+    setUpdates(updates) {
+        this.updates = updates;
+        if (updates.length === 0) {
+            this.statusBarItem.hide();
+            return;
+        }
+        this.statusBarItem.text = `$(arrow-circle-up) ${updates.length}`;
+        this.statusBarItem.tooltip = `${updates.map(describeUpdate).join('\n')}\nClick to install.`;
+        this.statusBarItem.show();
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.configListener.dispose();
+        this.statusBarItem.dispose();
+    }
+}
+
+module.exports = {
+    findUpdates,
+    UpdateChecker
+};
@@ -0,0 +1,287 @@
+// Version constraints and the policy-driven resolver that matches them
+// against installed (`rig list`) and available (`rig available`) R versions.
+
+const ALIAS_PATTERN = /^(release|devel|next|oldrel(?:[/-]\d+)?)$/;
+const RELEASE_PATTERN = /^\d+\.\d+\.\d+$/;
+const OLDREL_PATTERN = /^oldrel(?:\/(\d+))?$/;
+// Release numbers rig can install, e.g. "4.3.1" or "4.3" (the newest patch of that series)
+const RELEASE_NAME_PATTERN = /^\d+\.\d+(?:\.\d+)?$/;
+
+/**
+ * Compares two version strings component by component
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compareVersions(a, b) {
+    const pa = a.split('.').map(Number);
+    const pb = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) {
+            return diff;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Returns the "major.minor" series of a version
+ * @param {string} version - e.g. "4.3.1"
+ * @returns {string} - e.g. "4.3"
+ */
+function minorSeries(version) {
+    return version.split('.').slice(0, 2).join('.');
+}
+
+/**
+ * Tells whether an entry of `rig available --json` is a regular release (not devel or next)
+ * @param {Object} r - Available version entry
+ * @returns {boolean}
+ */
+function isRelease(r) {
+    const prerelease = ['devel', 'next'];
+    return Boolean(r.version) && RELEASE_PATTERN.test(r.version)
+        && !prerelease.includes(r.name) && !prerelease.includes(r.type);
+}
+
+/**
+ * Parses a constraint such as "4.3.1", ">= 4.2", "4.3.*", "release", "oldrel/1" or "devel"
+ * @param {string} text - Constraint text
+ * @returns {{version: string, operator: string} | undefined} - Parsed constraint; aliases use the 'alias' operator
+ */
+function parseConstraint(text) {
+    const trimmed = text.trim();
+
+    const alias = trimmed.match(ALIAS_PATTERN);
+    if (alias) {
+        // "oldrel" and the "oldrel-1" spelling used by r-lib/actions both mean "oldrel/1"
+        const normalized = alias[1] === 'oldrel' ? 'oldrel/1' : alias[1].replace('-', '/');
+        return { version: normalized, operator: 'alias' };
+    }
+
+    const wildcard = trimmed.match(/^(\d+(?:\.\d+)?)\.\*$/);
+    if (wildcard) {
+        return { version: wildcard[1], operator: '==' };
+    }
+
+    const range = trimmed.match(/^(>=|<=|>|<|==|=)?\s*(\d+(?:\.\d+){1,2})$/);
+    if (range) {
+        return { version: range[2], operator: !range[1] || range[1] === '=' ? '==' : range[1] };
+    }
+    return undefined;
+}
+
+/**
+ * Checks whether an R version satisfies a numeric constraint.
+ * For `==`, a partial version such as "4.3" matches any 4.3.x. Aliases never match here;
+ * resolve them with resolveAlias first.
+ * @param {string | undefined} version - R version, e.g. "4.3.1"
+ * @param {{version: string, operator: string}} requirement
+ * @returns {boolean}
+ */
+function satisfies(version, requirement) {
+    if (!version) {
+        return false;
+    }
+    switch (requirement.operator) {
+        case 'alias':
+            return false;
+        case '>=':
+            return compareVersions(version, requirement.version) >= 0;
+        case '>':
+            return compareVersions(version, requirement.version) > 0;
+        case '<=':
+            return compareVersions(version, requirement.version) <= 0;
+        case '<':
+            return compareVersions(version, requirement.version) < 0;
+        case '==':
+        default: {
+            const required = requirement.version.split('.');
+            const actual = version.split('.');
+            return required.every((part, i) => Number(part) === Number(actual[i]));
+        }
+    }
+}
+
+/**
+ * Tells whether a name is an R release number rig can install, e.g. "4.3.1" or "4.3".
+ * `rig available` only lists the newest patch of each series, so older patches
+ * are recognized by their shape rather than looked up there.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isReleaseVersionName(name) {
+    return typeof name === 'string' && RELEASE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Formats a constraint for display, e.g. "4.3.1", ">= 4.2" or "release"
+ * @param {{version: string, operator: string}} requirement
+ * @returns {string}
+ */
+function formatConstraint(requirement) {
+    return requirement.operator === '==' || requirement.operator === 'alias'
+        ? requirement.version
+        : `${requirement.operator} ${requirement.version}`;
+}
+
+/**
+ * Resolves a rig alias to a concrete R version
+ * @param {string} alias - 'release', 'oldrel/N', 'devel' or 'next'
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @param {Array} availableVersions - Output of `rig available --json`
+ * @returns {string | undefined} - Concrete version, or undefined if it cannot be resolved
+ */
+function resolveAlias(alias, installedVersions, availableVersions) {
+    if (alias === 'devel' || alias === 'next') {
+        const available = availableVersions.find(r => r.name === alias || r.type === alias);
+        const installed = installedVersions.find(r => Array.isArray(r.aliases) && r.aliases.includes(alias));
+        return available?.version || installed?.version;
+    }
+
+    // release is the newest patch of the newest minor series, oldrel/N of the Nth older series
+    const releases = availableVersions
+        .filter(isRelease)
+        .map(r => r.version)
+        .sort((a, b) => compareVersions(b, a));
+    const series = [...new Set(releases.map(minorSeries))];
+    const offset = alias === 'release' ? 0 : Number(alias.match(OLDREL_PATTERN)?.[1] || 1);
+    if (series[offset] !== undefined) {
+        return releases.find(v => minorSeries(v) === series[offset]);
+    }
+
+    // Without `rig available` output, fall back to aliases rig recorded for installed versions;
+    // rig records the first older series as plain "oldrel"
+    const oldrel = alias.match(OLDREL_PATTERN);
+    const names = oldrel && Number(oldrel[1] || 1) === 1 ? ['oldrel', 'oldrel/1'] : [alias];
+    const installed = installedVersions.find(r => Array.isArray(r.aliases) && r.aliases.some(a => names.includes(a)));
+    return installed?.version;
+}
+
+/**
+ * Turns a requirement into a numeric constraint, resolving aliases to the exact version they point at
+ * @param {{version: string, operator: string}} requirement
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @param {Array} availableVersions - Output of `rig available --json`
+ * @returns {{version: string, operator: string} | undefined} - Undefined for an alias that cannot be resolved
+ */
+function toNumericConstraint(requirement, installedVersions, availableVersions) {
+    if (requirement.operator !== 'alias') {
+        return requirement;
+    }
+    const version = resolveAlias(requirement.version, installedVersions, availableVersions);
+    return version ? { version, operator: '==' } : undefined;
+}
+
+/**
+ * Checks whether an R version meets a requirement under a matching policy.
+ * `exact` and `any-satisfying` need the constraint itself to hold; `same-minor` and
+ * `latest-patch` also accept any version of the required minor series.
+ * @param {string | undefined} version - R version, e.g. "4.3.1"
+ * @param {{version: string, operator: string}} requirement
+ * @param {string} policy - 'exact', 'same-minor', 'latest-patch' or 'any-satisfying'
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @param {Array} availableVersions - Output of `rig available --json`
+ * @returns {boolean}
+ */
+function isSatisfied(version, requirement, policy, installedVersions, availableVersions) {
+    const constraint = toNumericConstraint(requirement, installedVersions, availableVersions);
+    if (!version || !constraint) {
+        return false;
+    }
+    if (satisfies(version, constraint)) {
+        return true;
+    }
+    if ((policy === 'same-minor' || policy === 'latest-patch') && constraint.operator === '==') {
+        return minorSeries(version) === minorSeries(constraint.version);
+    }
+    return false;
+}
+
+/**
+ * Resolves a requirement against installed and available R versions.
+ * @param {{version: string, operator: string}} requirement
+ * @param {Array} installedVersions - Output of `rig list --json`
+ * @param {Array} availableVersions - Output of `rig available --json` (may be empty)
+ * @param {string} policy - 'exact', 'same-minor', 'latest-patch' or 'any-satisfying'
+ * @returns {{match: Object | undefined, exact: boolean, compatible: Object | undefined, install: string | undefined, newerPatch: Object | undefined}}
+ *   `match` is the installed version to use, `exact` tells whether it meets the constraint itself,
+ *   `compatible` is a same-minor fallback offered under the `exact` policy, `install` is what to pass
+ *   to `rig add` when nothing suitable is installed (undefined when no available release meets the
+ *   requirement), and `newerPatch` is an available release newer than `match` in the same minor series.
+ */
+function resolveRequirement(requirement, installedVersions, availableVersions, policy) {
+    const constraint = toNumericConstraint(requirement, installedVersions, availableVersions);
+    const newestFirst = [...installedVersions].sort((a, b) => compareVersions(b.version, a.version));
+
+    let match;
+    let exact = false;
+    let compatible;
+    if (constraint) {
+        const satisfying = newestFirst.filter(r => satisfies(r.version, constraint));
+        const sameMinor = constraint.operator === '=='
+            ? newestFirst.filter(r => minorSeries(r.version) === minorSeries(constraint.version))
+            : [];
+
+        switch (policy) {
+            case 'latest-patch':
+                // Newest installed patch of the required series
+                match = sameMinor[0] || satisfying[0];
+                break;
+            case 'same-minor':
+                // The exact version if installed, otherwise the newest of the same series
+                match = satisfying[0] || sameMinor[0];
+                break;
+            case 'any-satisfying':
+                match = satisfying[0];
+                break;
+            case 'exact':
+            default:
+                match = constraint.operator === '=='
+                    ? satisfying.find(r => compareVersions(r.version, constraint.version) === 0) || satisfying[0]
+                    : satisfying[0];
+                compatible = match ? undefined : sameMinor[0];
+                break;
+        }
+        exact = Boolean(match) && satisfies(match.version, constraint);
+    }
+
+    // What to install when nothing suitable is installed: the alias itself, the exact
+    // version, or the newest available release that meets the constraint
+    let install;
+    if (requirement.operator === 'alias') {
+        install = requirement.version;
+    } else if (requirement.operator === '==' && RELEASE_PATTERN.test(requirement.version)) {
+        install = requirement.version;
+    } else {
+        const candidate = availableVersions
+            .filter(r => isRelease(r) && satisfies(r.version, requirement))
+            .sort((a, b) => compareVersions(b.version, a.version))[0];
+        install = candidate?.name;
+    }
+
+    let newerPatch;
+    if (match) {
+        newerPatch = availableVersions
+            .filter(r => isRelease(r)
+                && minorSeries(r.version) === minorSeries(match.version)
+                && compareVersions(r.version, match.version) > 0
+                && !installedVersions.some(i => i.version === r.version))
+            .sort((a, b) => compareVersions(b.version, a.version))[0];
+    }
+
+    return { match, exact, compatible, install, newerPatch };
+}
+
+module.exports = {
+    compareVersions,
+    minorSeries,
+    isReleaseVersionName,
+    parseConstraint,
+    satisfies,
+    formatConstraint,
+    resolveAlias,
+    isSatisfied,
+    resolveRequirement
+};
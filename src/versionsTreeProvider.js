@@ -0,0 +1,207 @@
+// Tree view listing installed and available R versions
+const vscode = require('vscode');
+const { isSatisfied } = require('./versionResolver');
+
+/**
+ * Formats a rig release date for display
+ * @param {string} date - Date string from `rig available --json`
+ * @returns {string}
+ */
+function formatReleaseDate(date) {
+    return date ? new Date(date).toLocaleDateString() : 'unknown';
+}
+
+/**
+ * Tree item representing a single installed or available R version
+ */
+class RVersionItem extends vscode.TreeItem {
+    /**
+     * @param {Object} rVersion - Version object from `rig list --json` or `rig available --json`
+     */
+    constructor(rVersion) {
+        super(rVersion.name, vscode.TreeItemCollapsibleState.None);
+        this.rVersion = rVersion;
+    }
+}
+
+/**
+ * Tree data provider for the R Versions view.
+ * The top level has an "Installed" and an "Available" group. Release dates of installed
+ * versions come from `rig available`, which is fetched in the background so the
+ * installed versions show without waiting for it.
+ */
+class RVersionsTreeProvider {
+    /**
+     * @param {Object} sources - Data sources for the view
+     * @param {() => Promise<Array>} sources.listInstalled - Resolves to `rig list --json` output
+     * @param {() => Promise<Array>} sources.listAvailable - Resolves to `rig available --json` output
+     * @param {() => {version: string, operator: string} | undefined} sources.getRequirement - Requirement of the current project, if any
+     * @param {() => boolean} sources.isAvailable - Whether rig can be used; the view is empty otherwise so its welcome content shows
+     */
+    constructor(sources) {
+        this.sources = sources;
+        // Last `rig available` result, kept across refreshes for the release dates
+        this.availableVersions = undefined;
+        // Last `rig list` result, used with availableVersions to resolve alias requirements
+        this.installedVersions = [];
+        this.loadingAvailable = undefined;
+        // Set when fetching failed, so rig is not asked again on every redraw until the next refresh
+        this.availableFailed = false;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+    }
+
+    /**
+     * Reloads the whole view
+     */
+    refresh() {
+        this.availableFailed = false;
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * Fetches available versions for the installed versions' release dates and redraws
+     * the view when they changed. The source caches `rig available`, so this is cheap
+     * while the cache is fresh.
+     */
+    loadAvailableVersions() {
+        if (this.loadingAvailable || this.availableFailed) {
+            return;
+        }
+        this.loadingAvailable = this.sources.listAvailable()
+            .then(versions => {
+                if (versions !== this.availableVersions) {
+                    this.availableVersions = versions;
+                    this._onDidChangeTreeData.fire();
+                }
+            }, () => {
+                // The data source logged the failure; dates stay unknown
+                this.availableFailed = true;
+            })
+            .finally(() => {
+                this.loadingAvailable = undefined;
+            });
+    }
+
+    dispose() {
+        this._onDidChangeTreeData.dispose();
+    }
+
+    /**
+     * @param {vscode.TreeItem} element
+     * @returns {vscode.TreeItem}
+     */
+    getTreeItem(element) {
+        return element;
+    }
+
+    /**
+     * @param {vscode.TreeItem} [element]
+     * @returns {Promise<vscode.TreeItem[]>}
+     */
+    async getChildren(element) {
+        if (!element) {
+            if (!this.sources.isAvailable()) {
+                return [];
+            }
+            const installedGroup = new vscode.TreeItem('Installed', vscode.TreeItemCollapsibleState.Expanded);
+            installedGroup.id = 'group.installed';
+            installedGroup.contextValue = 'group';
+            const availableGroup = new vscode.TreeItem('Available', vscode.TreeItemCollapsibleState.Collapsed);
+            availableGroup.id = 'group.available';
+            availableGroup.contextValue = 'group';
+            return [installedGroup, availableGroup];
+        }
+
+        try {
+            if (element.id === 'group.installed') {
+                const installed = await this.sources.listInstalled();
+                this.installedVersions = installed;
+                this.loadAvailableVersions();
+                return installed.map(r => this.createInstalledItem(r));
+            }
+            if (element.id === 'group.available') {
+                this.availableVersions = await this.sources.listAvailable();
+                return this.availableVersions.map(r => this.createAvailableItem(r));
+            }
+        } catch {
+            // The data source logged the failure; the item tells the user
+            return [new vscode.TreeItem('Could not load R versions')];
+        }
+        return [];
+    }
+
+    /**
+     * Tells whether a version meets the current project's requirement.
+     * Aliases such as "release" are resolved against the installed and available versions.
+     * @param {Object} r - Version from `rig list --json` or `rig available --json`
+     * @param {{version: string, operator: string} | undefined} requirement
+     * @returns {boolean}
+     */
+    meetsRequirement(r, requirement) {
+        return requirement !== undefined && (requirement.version === r.name
+            || isSatisfied(r.version, requirement, 'exact', this.installedVersions, this.availableVersions || []));
+    }
+
+    /**
+     * Creates the tree item for an installed version
+     * @param {Object} r - Installed version from `rig list --json`
+     * @returns {vscode.TreeItem}
+     */
+    createInstalledItem(r) {
+        const item = new RVersionItem(r);
+        const released = this.availableVersions?.find(a => a.version === r.version);
+
+        const badges = [r.version];
+        if (r.default) {
+            badges.push('default');
+        }
+        if (this.meetsRequirement(r, this.sources.getRequirement())) {
+            badges.push('project');
+        }
+        if (released?.date) {
+            badges.push(`released ${formatReleaseDate(released.date)}`);
+        }
+        item.id = `installed.${r.name}`;
+        item.description = badges.join(' · ');
+        item.tooltip = new vscode.MarkdownString([
+            `**R ${r.version}** (${r.name})`,
+            `Path: \`${r.path}\``,
+            `Released on: ${formatReleaseDate(released?.date)}`
+        ].join('\n\n'));
+        item.iconPath = new vscode.ThemeIcon(r.default ? 'pass-filled' : 'circle-outline');
+        item.contextValue = r.default ? 'installedVersion.default' : 'installedVersion';
+        return item;
+    }
+
+    /**
+     * Creates the tree item for a version available to install
+     * @param {Object} r - Available version from `rig available --json`
+     * @returns {vscode.TreeItem}
+     */
+    createAvailableItem(r) {
+        const item = new RVersionItem(r);
+
+        const badges = [r.version, r.type];
+        if (this.meetsRequirement(r, this.sources.getRequirement())) {
+            badges.push('project');
+        }
+        if (r.date) {
+            badges.push(`released ${formatReleaseDate(r.date)}`);
+        }
+        item.id = `available.${r.name}`;
+        item.description = badges.filter(Boolean).join(' · ');
+        item.tooltip = new vscode.MarkdownString([
+            `**R ${r.version}** (${r.type})`,
+            `Released on: ${formatReleaseDate(r.date)}`
+        ].join('\n\n'));
+        item.iconPath = new vscode.ThemeIcon('cloud-download');
+        item.contextValue = 'availableVersion';
+        return item;
+    }
+}
+
+module.exports = {
+    RVersionItem,
+    RVersionsTreeProvider
+};
@@ -0,0 +1,276 @@
+// Workspace-scoped R version pinning.
+// A pin selects the R version used by this workspace's terminals and consoles
+// without touching the machine-wide `rig default`.
+const vscode = require('vscode');
+const log = require('./log');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const versionResolver = require('./versionResolver');
+
+const PIN_FILE_NAME = '.rig-version';
+
+// Cache of R_HOME lookups keyed by R binary path
+const rHomeCache = new Map();
+
+/**
+ * Returns the workspace folder the user is currently working in.
+ * Prefers the folder of the active editor and falls back to the first folder.
+ * @returns {vscode.WorkspaceFolder | undefined}
+ */
+function getActiveWorkspaceFolder() {
+    const activeUri = vscode.window.activeTextEditor?.document.uri;
+    if (activeUri) {
+        const folder = vscode.workspace.getWorkspaceFolder(activeUri);
+        if (folder) {
+            return folder;
+        }
+    }
+    return vscode.workspace.workspaceFolders?.[0];
+}
+
+/**
+ * Reads the version pinned in a `.rig-version` file.
+ * The first non-empty line that is not a comment is used.
+ * @param {string} filePath - Path to the pin file
+ * @returns {string | undefined} - Pinned version or undefined
+ */
+function readPinFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return undefined;
+    }
+    const line = fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(l => l.trim())
+        .find(l => l && !l.startsWith('#'));
+    return line || undefined;
+}
+
+/**
+ * Gets the R version pinned for a workspace folder.
+ * The `rig-manager.workspace.rVersion` setting takes precedence over a `.rig-version` file.
+ * @param {vscode.WorkspaceFolder | undefined} folder - Workspace folder to inspect
+ * @returns {{version: string, source: string, file?: string} | undefined} - Pin and where it came from
+ */
+function getPinnedVersion(folder) {
+    if (!folder) {
+        return undefined;
+    }
+
+    const config = vscode.workspace.getConfiguration('rig-manager', folder.uri);
+    const settingVersion = config.get('workspace.rVersion');
+    if (settingVersion && settingVersion.trim()) {
+        return { version: settingVersion.trim(), source: 'setting' };
+    }
+
+    const pinFile = path.join(folder.uri.fsPath, PIN_FILE_NAME);
+    try {
+        const fileVersion = readPinFile(pinFile);
+        if (fileVersion) {
+            return { version: fileVersion, source: 'file', file: pinFile };
+        }
+    } catch (error) {
+        log.error(`Failed to read ${pinFile}:`, error.message);
+    }
+    return undefined;
+}
+
+/**
+ * Finds the installed R version matching a pin by name, version or alias.
+ * Like the `.rig-version` requirement detector, a pin may also hold a constraint such as
+ * ">= 4.2" or "4.3.*" (the newest installed version meeting it is used) or an alias
+ * such as "oldrel-1" (resolved through the aliases rig recorded for installed versions).
+ * @param {string} pinnedVersion - Pinned version string
+ * @param {Array} installedVersions - Array of installed R versions from `rig list --json`
+ * @returns {Object | undefined} - Matching installed version
+ */
+function findInstalledVersion(pinnedVersion, installedVersions) {
+    const direct = installedVersions.find(r => r.name === pinnedVersion)
+        || installedVersions.find(r => r.version === pinnedVersion)
+        || installedVersions.find(r => Array.isArray(r.aliases) && r.aliases.includes(pinnedVersion));
+    if (direct) {
+        return direct;
+    }
+
+    const constraint = versionResolver.parseConstraint(pinnedVersion);
+    if (!constraint) {
+        return undefined;
+    }
+    if (constraint.operator === 'alias') {
+        const version = versionResolver.resolveAlias(constraint.version, installedVersions, []);
+        return version ? installedVersions.find(r => r.version === version) : undefined;
+    }
+    return installedVersions
+        .filter(r => versionResolver.satisfies(r.version, constraint))
+        .sort((a, b) => versionResolver.compareVersions(b.version, a.version))[0];
+}
+
+/**
+ * Removes comments and trailing commas from a JSONC document such as `.vscode/settings.json`
+ * @param {string} text
+ * @returns {string}
+ */
+function stripJsonComments(text) {
+    let result = '';
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '"') {
+            // Copy strings as they are, so "//" in a value is not taken for a comment
+            const start = i++;
+            while (i < text.length && text[i] !== '"') {
+                i += text[i] === '\\' ? 2 : 1;
+            }
+            result += text.slice(start, ++i);
+        } else if (char === '/' && text[i + 1] === '/') {
+            while (i < text.length && text[i] !== '\n') {
+                i++;
+            }
+        } else if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else {
+            result += char;
+            i++;
+        }
+    }
+    return result.replace(/,(\s*[}\]])/g, '$1');
+}
+
+/**
+ * Reads the R version pinned for a folder that may not be open in this window:
+ * `rig-manager.workspace.rVersion` in its `.vscode/settings.json`, otherwise its `.rig-version` file
+ * @param {string} folderPath
+ * @returns {string | undefined}
+ */
+function readPinnedVersionAt(folderPath) {
+    const settingsFile = path.join(folderPath, '.vscode', 'settings.json');
+    if (fs.existsSync(settingsFile)) {
+        try {
+            const setting = JSON.parse(stripJsonComments(fs.readFileSync(settingsFile, 'utf8')))['rig-manager.workspace.rVersion'];
+            if (typeof setting === 'string' && setting.trim()) {
+                return setting.trim();
+            }
+        } catch (error) {
+            log.error(`Failed to read ${settingsFile}:`, error.message);
+        }
+    }
+    return readPinFile(path.join(folderPath, PIN_FILE_NAME));
+}
+
+/**
+ * Resolves the R version that is active for a workspace folder.
+ * @param {Array} installedVersions - Array of installed R versions from `rig list --json`
+ * @param {vscode.WorkspaceFolder | undefined} folder - Workspace folder to resolve for
+ * @returns {{version: Object | undefined, scope: string, pin?: Object}} - Active version and its scope ('workspace' or 'global')
+ */
+function resolveActiveVersion(installedVersions, folder = getActiveWorkspaceFolder()) {
+    const pin = getPinnedVersion(folder);
+    if (pin) {
+        return { version: findInstalledVersion(pin.version, installedVersions), scope: 'workspace', pin };
+    }
+    return { version: installedVersions.find(r => r.default === true), scope: 'global' };
+}
+
+/**
+ * Describes where a pin came from for display purposes
+ * @param {{source: string}} pin - Pin returned by getPinnedVersion
+ * @returns {string}
+ */
+function describePinSource(pin) {
+    return pin.source === 'setting' ? 'rig-manager.workspace.rVersion setting' : PIN_FILE_NAME;
+}
+
+/**
+ * Pins an R version for a workspace folder by writing its `.rig-version` file
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder to pin
+ * @param {string} versionName - Name of the version to pin
+ */
+function writePinFile(folder, versionName) {
+    fs.writeFileSync(path.join(folder.uri.fsPath, PIN_FILE_NAME), `${versionName}\n`, 'utf8');
+}
+
+/**
+ * Removes the workspace pin from both the `.rig-version` file and the workspace setting
+ * @param {vscode.WorkspaceFolder} folder - Workspace folder to unpin
+ * @returns {Promise<boolean>} - True if a pin was removed
+ */
+async function removePin(folder) {
+    let removed = false;
+    const pinFile = path.join(folder.uri.fsPath, PIN_FILE_NAME);
+    if (fs.existsSync(pinFile)) {
+        fs.unlinkSync(pinFile);
+        removed = true;
+    }
+
+    const config = vscode.workspace.getConfiguration('rig-manager', folder.uri);
+    const inspected = config.inspect('workspace.rVersion');
+    if (inspected?.workspaceFolderValue) {
+        await config.update('workspace.rVersion', undefined, vscode.ConfigurationTarget.WorkspaceFolder);
+        removed = true;
+    }
+    if (inspected?.workspaceValue) {
+        await config.update('workspace.rVersion', undefined, vscode.ConfigurationTarget.Workspace);
+        removed = true;
+    }
+    return removed;
+}
+
+/**
+ * Asks an R binary for its R_HOME
+ * @param {string} binary - Path to the R binary
+ * @returns {Promise<string>} - R_HOME directory
+ */
+function getRHome(binary) {
+    if (rHomeCache.has(binary)) {
+        return Promise.resolve(rHomeCache.get(binary));
+    }
+    return new Promise((resolve, reject) => {
+        execFile(binary, ['RHOME'], (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(stderr || error.message));
+                return;
+            }
+            const rHome = stdout.trim();
+            rHomeCache.set(binary, rHome);
+            resolve(rHome);
+        });
+    });
+}
+
+/**
+ * Injects PATH and R_HOME for an R installation into integrated terminals,
+ * or clears the injection when no installation is given.
+ * @param {vscode.EnvironmentVariableCollection} collection - Extension's environment variable collection
+ * @param {Object | undefined} installation - Installed R version from `rig list --json`
+ * @returns {Promise<void>}
+ */
+async function applyTerminalEnvironment(collection, installation) {
+    collection.clear();
+    if (!installation || !installation.binary) {
+        return;
+    }
+
+    const binDir = path.dirname(installation.binary);
+    collection.prepend('PATH', binDir + path.delimiter);
+    try {
+        collection.replace('R_HOME', await getRHome(installation.binary));
+    } catch (error) {
+        log.error(`Could not determine R_HOME for ${installation.name}:`, error.message);
+    }
+    collection.description = `R ${installation.version} pinned for this workspace`;
+}
+
+module.exports = {
+    PIN_FILE_NAME,
+    getActiveWorkspaceFolder,
+    readPinFile,
+    readPinnedVersionAt,
+    getPinnedVersion,
+    findInstalledVersion,
+    resolveActiveVersion,
+    describePinSource,
+    writePinFile,
+    removePin,
+    applyTerminalEnvironment
+};
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const diskUsage = require('../src/diskUsage');
+
+const installed = [
+    { name: '4.2.3', version: '4.2.3' },
+    { name: '4.3.1', version: '4.3.1' },
+    { name: '4.4.1', version: '4.4.1', default: true }
+];
+
+suite('diskUsage.findNeededVersions', () => {
+    let dir;
+
+    setup(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rig-disk-usage-test-'));
+    });
+
+    teardown(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('keeps versions required by lockfiles in project subfolders', async () => {
+        fs.mkdirSync(path.join(dir, 'analysis'));
+        fs.writeFileSync(path.join(dir, 'analysis', 'renv.lock'), JSON.stringify({ R: { Version: '4.3.1' } }));
+
+        const needed = await diskUsage.findNeededVersions(installed, [dir], 'exact', 2);
+
+        assert.deepStrictEqual([...needed.keys()].sort(), ['4.3.1', '4.4.1']);
+        assert.deepStrictEqual(needed.get('4.3.1'), [`renv.lock in ${path.join(path.basename(dir), 'analysis')}`]);
+    });
+
+    test('ignores lockfiles below the search depth', async () => {
+        fs.mkdirSync(path.join(dir, 'a', 'b'), { recursive: true });
+        fs.writeFileSync(path.join(dir, 'a', 'b', 'renv.lock'), JSON.stringify({ R: { Version: '4.3.1' } }));
+
+        const needed = await diskUsage.findNeededVersions(installed, [dir], 'exact', 1);
+
+        assert.deepStrictEqual([...needed.keys()], ['4.4.1']);
+    });
+
+    test('keeps the version a .rig-version pins', async () => {
+        fs.writeFileSync(path.join(dir, '.rig-version'), '4.2.3\n');
+
+        const needed = await diskUsage.findNeededVersions(installed, [dir], 'exact', 0);
+
+        assert.deepStrictEqual(needed.get('4.2.3'), [`pinned in ${path.basename(dir)}`]);
+    });
+});
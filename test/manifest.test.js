@@ -0,0 +1,44 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const manifest = require('../src/manifest');
+const versionResolver = require('../src/versionResolver');
+
+suite('manifest', () => {
+    let dir;
+
+    setup(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rig-manifest-test-'));
+    });
+
+    teardown(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('an older patch version in the manifest is missing and can be installed', () => {
+        const filePath = path.join(dir, manifest.MANIFEST_FILE_NAME);
+        fs.writeFileSync(filePath, JSON.stringify({
+            manifestVersion: 1,
+            versions: [{ name: '4.3.1', version: '4.3.1', default: true }, { name: '4.4.1', version: '4.4.1' }]
+        }));
+        const installed = [{ name: '4.3.3', version: '4.3.3', default: true }, { name: '4.4.1', version: '4.4.1' }];
+
+        const { missing, extra, defaultMatches } = manifest.compareWithManifest(manifest.readManifest(filePath), installed);
+
+        assert.deepStrictEqual(missing.map(entry => entry.version), ['4.3.1']);
+        assert.deepStrictEqual(extra.map(r => r.name), ['4.3.3']);
+        assert.strictEqual(defaultMatches, false);
+        // `rig available` only lists 4.3.3; the install is still accepted by its release number
+        assert.ok(missing.every(entry => versionResolver.isReleaseVersionName(entry.version)));
+    });
+
+    test('rejects a manifest with more than one default', () => {
+        const filePath = path.join(dir, manifest.MANIFEST_FILE_NAME);
+        fs.writeFileSync(filePath, JSON.stringify({
+            manifestVersion: 1,
+            versions: [{ version: '4.3.1', default: true }, { version: '4.4.1', default: true }]
+        }));
+        assert.throws(() => manifest.readManifest(filePath), /more than one version as default/);
+    });
+});
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { OperationQueue } = require('../src/operationQueue');
+
+/**
+ * A promise with its resolve function, to finish a job from the test
+ * @returns {{promise: Promise<void>, resolve: () => void}}
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => {
+        resolve = r;
+    });
+    return { promise, resolve };
+}
+
+suite('OperationQueue', () => {
+    let queue;
+
+    setup(() => {
+        queue = new OperationQueue();
+    });
+
+    teardown(() => {
+        queue.dispose();
+    });
+
+    test('runs jobs strictly one after another, in order, when one fails', async () => {
+        const events = [];
+        let running = 0;
+        const spec = (label, fail) => ({
+            label,
+            kind: 'install',
+            run: async () => {
+                running++;
+                assert.strictEqual(running, 1, `${label} started while another job was running`);
+                events.push(`start ${label}`);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                events.push(`end ${label}`);
+                running--;
+                if (fail) {
+                    throw new Error(`${label} failed`);
+                }
+            }
+        });
+
+        const first = queue.submit(spec('first'));
+        const second = queue.submit(spec('second', true));
+        const third = queue.submit(spec('third'));
+
+        await first.done;
+        await assert.rejects(second.done, /second failed/);
+        await third.done;
+        assert.deepStrictEqual(events, ['start first', 'end first', 'start second', 'end second', 'start third', 'end third']);
+        assert.deepStrictEqual([first.state, second.state, third.state], ['succeeded', 'failed', 'succeeded']);
+        assert.strictEqual(queue.running, undefined);
+    });
+
+    test('cancelling a queued job skips it without stopping the running one', async () => {
+        const gate = deferred();
+        const ran = [];
+        const running = queue.submit({ label: 'running', kind: 'install', run: async () => {
+            ran.push('running');
+            await gate.promise;
+        } });
+        const queued = queue.submit({ label: 'queued', kind: 'install', run: async () => {
+            ran.push('queued');
+        } });
+
+        queue.cancel(queued);
+        gate.resolve();
+        await running.done;
+        await assert.rejects(queued.done, /Cancelled: queued/);
+        assert.strictEqual(queued.state, 'cancelled');
+        assert.deepStrictEqual(ran, ['running']);
+    });
+
+    test('cancelling a running job marks it cancelled through its token', async () => {
+        const job = queue.submit({ label: 'switch', kind: 'switch', run: job => new Promise((resolve, reject) => {
+            job.token.onCancellationRequested(() => reject(new Error('stopped')));
+        }) });
+
+        queue.cancel(job);
+        await assert.rejects(job.done, /stopped/);
+        assert.strictEqual(job.state, 'cancelled');
+    });
+
+    test('retry queues the same work again and replaces the failed job', async () => {
+        let attempts = 0;
+        const failed = queue.submit({ label: 'flaky', kind: 'install', run: async () => {
+            attempts++;
+            if (attempts === 1) {
+                throw new Error('network');
+            }
+        } });
+        await assert.rejects(failed.done);
+
+        const retried = queue.retry(failed);
+        await retried.done;
+        assert.strictEqual(attempts, 2);
+        assert.deepStrictEqual(queue.jobs, [retried]);
+    });
+});
@@ -0,0 +1,117 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const requirements = require('../src/requirements');
+
+const detector = id => requirements.DETECTORS.find(d => d.id === id);
+
+suite('requirements detectors', () => {
+    let dir;
+
+    setup(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rig-requirements-test-'));
+    });
+
+    teardown(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Writes a file below the temporary project directory
+     * @param {string} relativePath
+     * @param {string} content
+     */
+    function write(relativePath, content) {
+        const filePath = path.join(dir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+    }
+
+    test('renv reads the R version and points at its line', () => {
+        write('renv.lock', '{\n  "R": {\n    "Version": "4.3.1",\n    "Repositories": []\n  }\n}\n');
+        const requirement = requirements.detectRequirement(dir, ['renv']);
+        assert.strictEqual(requirement.version, '4.3.1');
+        assert.strictEqual(requirement.operator, '==');
+        assert.strictEqual(requirement.line, 3);
+    });
+
+    test('renv reports a lockfile that is not JSON', () => {
+        write('renv.lock', '{ "R": { "Version": "4.3.1" ');
+        const errors = [];
+        assert.strictEqual(requirements.detectRequirement(dir, ['renv'], file => errors.push(file)), undefined);
+        assert.deepStrictEqual(errors, [path.join(dir, 'renv.lock')]);
+    });
+
+    test('version-file accepts versions, constraints, aliases and rig names', () => {
+        const parse = detector('version-file').parse;
+        assert.deepStrictEqual(parse('# pinned\n4.3.1\n'), { version: '4.3.1', operator: '==', line: 2 });
+        assert.deepStrictEqual(parse('>= 4.2'), { version: '4.2', operator: '>=', line: 1 });
+        assert.deepStrictEqual(parse('oldrel-1'), { version: 'oldrel/1', operator: 'alias', line: 1 });
+        assert.deepStrictEqual(parse('4.3-arm64'), { version: '4.3', operator: '==', line: 1 });
+    });
+
+    test('version-file ignores files without a version', () => {
+        const parse = detector('version-file').parse;
+        assert.strictEqual(parse('# only a comment\n\n'), undefined);
+        assert.strictEqual(parse('latest'), undefined);
+    });
+
+    test('tool-versions reads the r entry', () => {
+        const parse = detector('tool-versions').parse;
+        assert.deepStrictEqual(parse('nodejs 20.11.0\nR 4.4.1\n'), { version: '4.4.1', operator: '==', line: 2 });
+        assert.strictEqual(parse('nodejs 20.11.0\nruby 3.3.0\nr latest\n'), undefined);
+    });
+
+    test('description reads R from a Depends field continued on later lines', () => {
+        const parse = detector('description').parse;
+        const content = 'Package: pkg\nDepends:\n    methods,\n    R (>= 4.1.0)\nImports: stats\n';
+        assert.deepStrictEqual(parse(content), { version: '4.1.0', operator: '>=', line: 4 });
+    });
+
+    test('description ignores R mentioned outside Depends and malformed entries', () => {
+        const parse = detector('description').parse;
+        assert.strictEqual(parse('Package: pkg\nImports: R (>= 4.1.0)\n'), undefined);
+        assert.strictEqual(parse('Package: pkg\nDepends: R (>= four)\n'), undefined);
+    });
+
+    test('dockerfile reads rocker and r-base tags', () => {
+        const parse = detector('dockerfile').parse;
+        assert.deepStrictEqual(parse('# base\nFROM rocker/r-ver:4.3.2\nRUN echo\n'), { version: '4.3.2', operator: '==', line: 2 });
+        assert.deepStrictEqual(parse('FROM docker.io/r-base:4.4.0 AS build'), { version: '4.4.0', operator: '==', line: 1 });
+    });
+
+    test('dockerfile ignores other images and tags without a version', () => {
+        const parse = detector('dockerfile').parse;
+        assert.strictEqual(parse('FROM rocker/r-ver:latest'), undefined);
+        assert.strictEqual(parse('FROM python:3.12'), undefined);
+    });
+
+    test('github-workflow uses the highest listed version, or the first alias', () => {
+        const parse = detector('github-workflow').parse;
+        const matrix = 'jobs:\n  check:\n    strategy:\n      matrix:\n        r: [\'4.2\', "4.4.1", release]\n';
+        assert.deepStrictEqual(parse(matrix), { version: '4.4.1', operator: '==', line: 5 });
+        assert.deepStrictEqual(parse('      - uses: r-lib/actions/setup-r@v2\n        with:\n          r-version: oldrel-1\n'),
+            { version: 'oldrel/1', operator: 'alias', line: 3 });
+    });
+
+    test('github-workflow ignores expressions and unknown values', () => {
+        const parse = detector('github-workflow').parse;
+        assert.strictEqual(parse('          r-version: ${{ matrix.r }}\n'), undefined);
+        assert.strictEqual(parse('          r-version: [bogus\n'), undefined);
+    });
+
+    test('github-workflow files are found below .github/workflows', () => {
+        write('.github/workflows/check.yaml', 'r-version: 4.3\n');
+        write('.github/workflows/notes.txt', 'r-version: 4.4\n');
+        const requirement = requirements.detectRequirement(dir, ['github-workflow']);
+        assert.strictEqual(requirement.version, '4.3');
+        assert.strictEqual(requirement.file, path.join(dir, '.github', 'workflows', 'check.yaml'));
+    });
+
+    test('earlier detectors win over later ones', () => {
+        write('DESCRIPTION', 'Package: pkg\nDepends: R (>= 4.0)\n');
+        write('.rig-version', '4.3.1\n');
+        assert.strictEqual(requirements.detectRequirement(dir, undefined).detector, 'version-file');
+    });
+});
@@ -0,0 +1,51 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+const log = require('../src/log');
+const { RigStateService } = require('../src/rigState');
+
+suite('RigStateService with a failing rig', () => {
+    const config = () => vscode.workspace.getConfiguration('rig-manager');
+    let showError;
+    let shown;
+    let rigState;
+
+    setup(async () => {
+        showError = log.showError;
+        shown = [];
+        log.showError = async message => {
+            shown.push(message);
+        };
+        await config().update('rigPath', path.join(os.tmpdir(), 'rig-manager-test-missing-rig'), vscode.ConfigurationTarget.Global);
+        rigState = new RigStateService();
+    });
+
+    teardown(async () => {
+        log.showError = showError;
+        rigState.dispose();
+        await config().update('rigPath', undefined, vscode.ConfigurationTarget.Global);
+    });
+
+    test('background refreshes do not show errors', async () => {
+        await assert.rejects(rigState.getInstalled());
+        await assert.rejects(rigState.getInstalled());
+        await assert.rejects(rigState.getAvailable());
+        assert.deepStrictEqual(shown, []);
+    });
+
+    test('callers sharing one failed request see one error', async () => {
+        const background = rigState.getInstalled();
+        const first = rigState.getInstalled('Could not fetch installed R versions');
+        const second = rigState.getInstalled('Error fetching installed R versions');
+        await Promise.all([background, first, second].map(request => assert.rejects(request)));
+        assert.strictEqual(shown.length, 1);
+        assert.match(shown[0], /^Could not fetch installed R versions: rig was not found/);
+    });
+
+    test('a new request started by the user reports its failure again', async () => {
+        await assert.rejects(rigState.getInstalled('Could not fetch installed R versions'));
+        await assert.rejects(rigState.getInstalled('Could not fetch installed R versions'));
+        assert.strictEqual(shown.length, 2);
+    });
+});
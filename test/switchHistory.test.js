@@ -0,0 +1,63 @@
+const assert = require('assert');
+const switchHistory = require('../src/switchHistory');
+
+/**
+ * In-memory stand-in for ExtensionContext.globalState
+ */
+function createMemento() {
+    const values = new Map();
+    return {
+        get: (key, defaultValue) => values.has(key) ? values.get(key) : defaultValue,
+        update: async (key, value) => {
+            values.set(key, value);
+        }
+    };
+}
+
+suite('switchHistory', () => {
+    test('records switches newest first and keeps at most 50', async () => {
+        const state = createMemento();
+        for (let i = 0; i < 55; i++) {
+            await switchHistory.recordSwitch(state, { from: `4.${i}`, to: `4.${i + 1}`, trigger: 'manual' });
+        }
+        const history = switchHistory.getHistory(state);
+        assert.strictEqual(history.length, 50);
+        assert.strictEqual(history[0].to, '4.55');
+        assert.strictEqual(history[49].to, '4.6');
+    });
+
+    test('reverts the last switch only when it had a previous version', async () => {
+        const state = createMemento();
+        assert.strictEqual(switchHistory.getLastSwitch(state), undefined);
+
+        await switchHistory.recordSwitch(state, { from: undefined, to: '4.3.1', trigger: 'install' });
+        assert.strictEqual(switchHistory.getLastSwitch(state), undefined);
+
+        await switchHistory.recordSwitch(state, { from: '4.3.1', to: '4.4.1', trigger: 'manual' });
+        const last = switchHistory.getLastSwitch(state);
+        assert.strictEqual(last.from, '4.3.1');
+        assert.strictEqual(last.to, '4.4.1');
+        assert.strictEqual(last.trigger, 'manual');
+    });
+
+    test('orders versions by recent use without repeating them', () => {
+        const versions = ['4.1.3', '4.2.3', '4.3.1', '4.4.1'].map(name => ({ name }));
+        const history = [
+            { from: '4.3.1', to: '4.4.1' },
+            { from: '4.4.1', to: '4.3.1' },
+            { from: '4.2.3', to: '4.4.1' }
+        ];
+        assert.deepStrictEqual(
+            switchHistory.orderByRecentUse(versions, history).map(r => r.name),
+            ['4.4.1', '4.3.1', '4.2.3', '4.1.3']
+        );
+    });
+
+    test('keeps rig order for versions never switched to', () => {
+        const versions = ['4.4.1', '4.1.3', '4.2.3'].map(name => ({ name }));
+        assert.deepStrictEqual(
+            switchHistory.orderByRecentUse(versions, [{ from: undefined, to: '4.2.3' }]).map(r => r.name),
+            ['4.2.3', '4.4.1', '4.1.3']
+        );
+    });
+});
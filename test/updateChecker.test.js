@@ -0,0 +1,94 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const vscode = require('vscode');
+const log = require('../src/log');
+const { RigStateService } = require('../src/rigState');
+const { findUpdates, UpdateChecker } = require('../src/updateChecker');
+
+/**
+ * In-memory stand-in for ExtensionContext.globalState
+ */
+function createMemento() {
+    const values = new Map();
+    return {
+        get: (key, defaultValue) => values.has(key) ? values.get(key) : defaultValue,
+        update: async (key, value) => {
+            values.set(key, value);
+        }
+    };
+}
+
+suite('updateChecker.findUpdates', () => {
+    const available = [
+        { name: '4.5.0', version: '4.5.0', type: 'release' },
+        { name: '4.4.3', version: '4.4.3', type: 'release' },
+        { name: '4.3.3', version: '4.3.3', type: 'release' },
+        { name: 'devel', version: '4.6.0', type: 'devel' }
+    ];
+
+    test('reports newer patches of installed series and a newer release line', () => {
+        const installed = [{ version: '4.3.1' }, { version: '4.3.3' }, { version: '4.4.1' }];
+        assert.deepStrictEqual(findUpdates(installed, available, []), [
+            { kind: 'patch', version: '4.4.3', name: '4.4.3', installed: '4.4.1' },
+            { kind: 'release', version: '4.5.0', name: '4.5.0' }
+        ]);
+    });
+
+    test('compares versions numerically, not as text', () => {
+        const installed = [{ version: '4.4.9' }];
+        const patched = [{ name: '4.4.10', version: '4.4.10', type: 'release' }];
+        assert.deepStrictEqual(findUpdates(installed, patched, []).map(u => u.version), ['4.4.10']);
+    });
+
+    test('skips ignored versions, devel builds and installs without a release number', () => {
+        const installed = [{ version: '4.4.1' }, { name: 'devel', version: '4.6.0-devel' }];
+        assert.deepStrictEqual(findUpdates(installed, available, ['4.4.3', '4.5.0']), []);
+    });
+
+    test('reports nothing when the newest release line is installed', () => {
+        assert.deepStrictEqual(findUpdates([{ version: '4.5.0' }], available, []), []);
+    });
+});
+
+suite('UpdateChecker with a failing rig', () => {
+    const config = () => vscode.workspace.getConfiguration('rig-manager');
+    let showError;
+    let shown;
+    let rigState;
+    let checker;
+
+    setup(async () => {
+        showError = log.showError;
+        shown = [];
+        log.showError = async message => {
+            shown.push(message);
+        };
+        await config().update('rigPath', path.join(os.tmpdir(), 'rig-manager-test-missing-rig'), vscode.ConfigurationTarget.Global);
+        rigState = new RigStateService();
+        // Wired like the extension: rigState is read without an error message
+        checker = new UpdateChecker(createMemento(), {
+            listInstalled: () => rigState.getInstalled(),
+            listAvailable: () => rigState.getAvailable(),
+            install: async () => {}
+        });
+    });
+
+    teardown(async () => {
+        log.showError = showError;
+        checker.dispose();
+        rigState.dispose();
+        await config().update('rigPath', undefined, vscode.ConfigurationTarget.Global);
+    });
+
+    test('a background check does not show an error', async () => {
+        await checker.check(false);
+        assert.deepStrictEqual(shown, []);
+    });
+
+    test('a manual check shows the failure once', async () => {
+        await checker.check(true);
+        assert.strictEqual(shown.length, 1);
+        assert.match(shown[0], /^R update check failed: rig was not found/);
+    });
+});
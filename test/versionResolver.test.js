@@ -0,0 +1,165 @@
+const assert = require('assert');
+const versionResolver = require('../src/versionResolver');
+
+const installed = [
+    { name: '4.2.3', version: '4.2.3' },
+    { name: '4.4.1', version: '4.4.1', default: true }
+];
+const available = [
+    { name: '4.3.3', version: '4.3.3' },
+    { name: '4.4.2', version: '4.4.2' },
+    { name: 'devel', version: '4.5.0', type: 'devel' }
+];
+
+const releases = [
+    { name: '4.2.3', version: '4.2.3' },
+    { name: '4.3.3', version: '4.3.3' },
+    { name: '4.4.2', version: '4.4.2' },
+    { name: 'devel', version: '4.5.0', type: 'devel' }
+];
+
+suite('versionResolver.parseConstraint', () => {
+    test('parses exact versions, ranges and wildcards', () => {
+        assert.deepStrictEqual(versionResolver.parseConstraint('4.3.1'), { version: '4.3.1', operator: '==' });
+        assert.deepStrictEqual(versionResolver.parseConstraint('>= 4.2'), { version: '4.2', operator: '>=' });
+        assert.deepStrictEqual(versionResolver.parseConstraint('<4.4.0'), { version: '4.4.0', operator: '<' });
+        assert.deepStrictEqual(versionResolver.parseConstraint('= 4.3'), { version: '4.3', operator: '==' });
+        assert.deepStrictEqual(versionResolver.parseConstraint('4.3.*'), { version: '4.3', operator: '==' });
+    });
+
+    test('normalizes aliases', () => {
+        assert.deepStrictEqual(versionResolver.parseConstraint('release'), { version: 'release', operator: 'alias' });
+        assert.deepStrictEqual(versionResolver.parseConstraint('oldrel'), { version: 'oldrel/1', operator: 'alias' });
+        assert.deepStrictEqual(versionResolver.parseConstraint('oldrel-2'), { version: 'oldrel/2', operator: 'alias' });
+        assert.deepStrictEqual(versionResolver.parseConstraint('oldrel/10'), { version: 'oldrel/10', operator: 'alias' });
+    });
+
+    test('rejects text that is not a constraint', () => {
+        assert.strictEqual(versionResolver.parseConstraint('4'), undefined);
+        assert.strictEqual(versionResolver.parseConstraint('~> 4.3'), undefined);
+        assert.strictEqual(versionResolver.parseConstraint('latest'), undefined);
+    });
+});
+
+suite('versionResolver.resolveAlias', () => {
+    test('resolves release and oldrel/N against rig available', () => {
+        assert.strictEqual(versionResolver.resolveAlias('release', [], releases), '4.4.2');
+        assert.strictEqual(versionResolver.resolveAlias('oldrel/1', [], releases), '4.3.3');
+        assert.strictEqual(versionResolver.resolveAlias('oldrel/2', [], releases), '4.2.3');
+        assert.strictEqual(versionResolver.resolveAlias('devel', [], releases), '4.5.0');
+    });
+
+    test('falls back to aliases rig recorded for installed versions', () => {
+        const withAliases = [
+            { name: '4.3.1', version: '4.3.1', aliases: ['oldrel'] },
+            { name: '4.4.1', version: '4.4.1', aliases: ['release'] }
+        ];
+        assert.strictEqual(versionResolver.resolveAlias('release', withAliases, []), '4.4.1');
+        assert.strictEqual(versionResolver.resolveAlias('oldrel/1', withAliases, []), '4.3.1');
+    });
+
+    test('does not take oldrel/10 for another oldrel alias', () => {
+        const withAliases = [
+            { name: '4.3.1', version: '4.3.1', aliases: ['oldrel'] },
+            { name: '3.6.3', version: '3.6.3', aliases: ['oldrel0'] }
+        ];
+        assert.strictEqual(versionResolver.resolveAlias('oldrel/10', withAliases, releases), undefined);
+    });
+});
+
+suite('versionResolver.resolveRequirement policies', () => {
+    const policyInstalled = [
+        { name: '4.3.1', version: '4.3.1' },
+        { name: '4.3.2', version: '4.3.2' },
+        { name: '4.4.1', version: '4.4.1', default: true }
+    ];
+    const resolve = (text, policy) => versionResolver.resolveRequirement(
+        versionResolver.parseConstraint(text), policyInstalled, releases, policy
+    );
+
+    test('exact uses the exact version and offers a same-minor fallback otherwise', () => {
+        assert.strictEqual(resolve('4.3.1', 'exact').match.name, '4.3.1');
+        const missing = resolve('4.3.0', 'exact');
+        assert.strictEqual(missing.match, undefined);
+        assert.strictEqual(missing.compatible.name, '4.3.2');
+        assert.strictEqual(missing.install, '4.3.0');
+    });
+
+    test('same-minor uses the exact version or the newest of its series', () => {
+        assert.strictEqual(resolve('4.3.1', 'same-minor').match.name, '4.3.1');
+        const fallback = resolve('4.3.0', 'same-minor');
+        assert.strictEqual(fallback.match.name, '4.3.2');
+        assert.strictEqual(fallback.exact, false);
+    });
+
+    test('latest-patch uses the newest installed patch of the series', () => {
+        const { match, exact, newerPatch } = resolve('4.3.1', 'latest-patch');
+        assert.strictEqual(match.name, '4.3.2');
+        assert.strictEqual(exact, false);
+        assert.strictEqual(newerPatch.version, '4.3.3');
+    });
+
+    test('any-satisfying uses the newest version meeting the constraint', () => {
+        assert.strictEqual(resolve('>= 4.3', 'any-satisfying').match.name, '4.4.1');
+        assert.strictEqual(resolve('4.3.0', 'any-satisfying').match, undefined);
+    });
+
+    test('resolves aliases before matching', () => {
+        const { match, install } = resolve('oldrel', 'same-minor');
+        assert.strictEqual(match.name, '4.3.2');
+        assert.strictEqual(install, 'oldrel/1');
+    });
+
+    test('isSatisfied accepts the series only under same-minor and latest-patch', () => {
+        const requirement = versionResolver.parseConstraint('4.3.1');
+        assert.ok(!versionResolver.isSatisfied('4.3.2', requirement, 'exact', policyInstalled, releases));
+        assert.ok(!versionResolver.isSatisfied('4.3.2', requirement, 'any-satisfying', policyInstalled, releases));
+        assert.ok(versionResolver.isSatisfied('4.3.2', requirement, 'same-minor', policyInstalled, releases));
+        assert.ok(versionResolver.isSatisfied('4.3.2', requirement, 'latest-patch', policyInstalled, releases));
+    });
+});
+
+suite('versionResolver.resolveRequirement', () => {
+    test('installs the newest available release that meets a range', () => {
+        const { match, install } = versionResolver.resolveRequirement(
+            { operator: '>=', version: '4.3' }, [], available, 'exact'
+        );
+        assert.strictEqual(match, undefined);
+        assert.strictEqual(install, '4.4.2');
+    });
+
+    test('offers no install when no available release meets the requirement', () => {
+        const { match, install } = versionResolver.resolveRequirement(
+            { operator: '<', version: '4.0' }, installed, available, 'exact'
+        );
+        assert.strictEqual(match, undefined);
+        assert.strictEqual(install, undefined);
+    });
+
+    test('offers no install for a range when rig available returned nothing', () => {
+        const { install } = versionResolver.resolveRequirement(
+            { operator: '>=', version: '4.5' }, installed, [], 'exact'
+        );
+        assert.strictEqual(install, undefined);
+    });
+
+    test('still installs an exact version without rig available output', () => {
+        const { install } = versionResolver.resolveRequirement(
+            { operator: '==', version: '4.3.1' }, installed, [], 'exact'
+        );
+        assert.strictEqual(install, '4.3.1');
+    });
+});
+
+suite('versionResolver.isReleaseVersionName', () => {
+    test('accepts older patches that rig available does not list', () => {
+        assert.ok(versionResolver.isReleaseVersionName('4.3.1'));
+        assert.ok(versionResolver.isReleaseVersionName('4.3'));
+    });
+
+    test('rejects aliases, architectures and option-like names', () => {
+        assert.ok(!versionResolver.isReleaseVersionName('release'));
+        assert.ok(!versionResolver.isReleaseVersionName('4.3-arm64'));
+        assert.ok(!versionResolver.isReleaseVersionName('--help'));
+    });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { RVersionsTreeProvider } = require('../src/versionsTreeProvider');
+
+const installed = [
+    { name: '4.3.2', version: '4.3.2', path: '/opt/R/4.3.2' },
+    { name: '4.4.1', version: '4.4.1', path: '/opt/R/4.4.1', default: true }
+];
+const available = [
+    { name: '4.3.3', version: '4.3.3', type: 'release', date: '2024-02-29T00:00:00Z' },
+    { name: '4.4.1', version: '4.4.1', type: 'release', date: '2024-06-14T00:00:00Z' }
+];
+
+/**
+ * Creates a provider whose sources resolve immediately
+ * @param {{version: string, operator: string} | undefined} requirement
+ * @returns {RVersionsTreeProvider}
+ */
+function createProvider(requirement) {
+    return new RVersionsTreeProvider({
+        listInstalled: async () => installed,
+        listAvailable: async () => available,
+        getRequirement: () => requirement,
+        isAvailable: () => true
+    });
+}
+
+/**
+ * Lists the installed items once the background fetch of available versions finished
+ * @param {RVersionsTreeProvider} provider
+ * @returns {Promise<Array>}
+ */
+async function getInstalledItems(provider) {
+    const [installedGroup] = await provider.getChildren();
+    await provider.getChildren(installedGroup);
+    await provider.loadingAvailable;
+    return provider.getChildren(installedGroup);
+}
+
+suite('RVersionsTreeProvider', () => {
+    test('shows the release date of installed versions in the description', async () => {
+        const provider = createProvider(undefined);
+        const items = await getInstalledItems(provider);
+        assert.ok(items[1].description.startsWith('4.4.1 · default · released '));
+        assert.ok(!items[0].description.includes('released'), 'no date for a version rig available does not list');
+        provider.dispose();
+    });
+
+    test('marks versions meeting an alias requirement as project versions', async () => {
+        const provider = createProvider({ version: 'release', operator: 'alias' });
+        const items = await getInstalledItems(provider);
+        assert.deepStrictEqual(items.map(item => item.description.includes('project')), [false, true]);
+        provider.dispose();
+    });
+
+    test('marks versions meeting a range requirement as project versions', async () => {
+        const provider = createProvider({ version: '4.4', operator: '<' });
+        const items = await getInstalledItems(provider);
+        assert.deepStrictEqual(items.map(item => item.description.includes('project')), [true, false]);
+        provider.dispose();
+    });
+});
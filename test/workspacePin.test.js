@@ -0,0 +1,32 @@
+const assert = require('assert');
+const requirements = require('../src/requirements');
+const workspacePin = require('../src/workspacePin');
+
+const installed = [
+    { name: '4.2.3', version: '4.2.3', aliases: ['oldrel'] },
+    { name: '4.3-arm64', version: '4.3.2' },
+    { name: '4.4.1', version: '4.4.1', default: true, aliases: ['release'] }
+];
+const parsePinFile = requirements.DETECTORS.find(d => d.id === 'version-file').parse;
+
+suite('workspacePin.findInstalledVersion', () => {
+    test('finds a pin by name, version or rig alias', () => {
+        assert.strictEqual(workspacePin.findInstalledVersion('4.3-arm64', installed).name, '4.3-arm64');
+        assert.strictEqual(workspacePin.findInstalledVersion('4.3.2', installed).name, '4.3-arm64');
+        assert.strictEqual(workspacePin.findInstalledVersion('release', installed).name, '4.4.1');
+    });
+
+    test('resolves every pin the .rig-version detector accepts', () => {
+        const cases = { '>= 4.3': '4.4.1', '< 4.4': '4.3-arm64', '4.2.*': '4.2.3', 'oldrel-1': '4.2.3', 'oldrel/1': '4.2.3' };
+        for (const [pin, expected] of Object.entries(cases)) {
+            assert.ok(parsePinFile(pin), `detector rejects ${pin}`);
+            assert.strictEqual(workspacePin.findInstalledVersion(pin, installed)?.name, expected, pin);
+        }
+    });
+
+    test('finds nothing for pins no installed version meets', () => {
+        assert.strictEqual(workspacePin.findInstalledVersion('>= 4.5', installed), undefined);
+        assert.strictEqual(workspacePin.findInstalledVersion('devel', installed), undefined);
+        assert.strictEqual(workspacePin.findInstalledVersion('latest', installed), undefined);
+    });
+});